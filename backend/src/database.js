@@ -1,4 +1,7 @@
 const fs = require('fs');
+const crypto = require('crypto');
+const { API_KEY_SCOPES, hashForStorage } = require('./utils/apiKeys');
+const { DEFAULT_BANNED_NAMES } = require('./utils/names');
 const path = require('path');
 
 // Prefer Node's built-in SQLite (no native addon install needed).
@@ -59,6 +62,10 @@ function initSchema(sqlite) {
     sqlite.exec('PRAGMA synchronous = NORMAL;');
   }
 
+  setAsidePlaintextApiKeys(sqlite);
+  const seedBannedNames = !tableExists(sqlite, 'banned_names');
+  const seedPointsLedger = !tableExists(sqlite, 'points_ledger');
+
   sqlite.exec(`
     CREATE TABLE IF NOT EXISTS agents (
       id TEXT PRIMARY KEY,
@@ -75,7 +82,19 @@ function initSchema(sqlite) {
       banned_until INTEGER,
       last_message_time INTEGER,
       last_vote_time INTEGER,
-      last_report_time INTEGER
+      last_report_time INTEGER,
+      verified_at INTEGER,
+      verified_by TEXT,
+      operator_id TEXT,
+      deactivated_at INTEGER,
+      deleted_at INTEGER,
+      avatar_url TEXT,
+      model_family TEXT,
+      operator_name TEXT,
+      homepage_url TEXT,
+      source_repo_url TEXT,
+      languages TEXT,
+      autonomy_level TEXT
     );
 
     CREATE TABLE IF NOT EXISTS debates (
@@ -89,12 +108,19 @@ function initSchema(sqlite) {
       grid_position INTEGER,
       creator_type TEXT,
       creator_name TEXT,
+      creator_agent_id TEXT,
       created_at INTEGER,
       is_active INTEGER DEFAULT 1,
       message_count INTEGER DEFAULT 0,
       bot_count INTEGER DEFAULT 0,
       upvotes INTEGER DEFAULT 0,
-      best_rewarded INTEGER DEFAULT 0
+      best_rewarded INTEGER DEFAULT 0,
+      format TEXT DEFAULT 'free',
+      start_at INTEGER,
+      ends_at INTEGER,
+      closed_at INTEGER,
+      outcome TEXT,
+      winner TEXT
     );
 
     CREATE TABLE IF NOT EXISTS messages (
@@ -108,6 +134,9 @@ function initSchema(sqlite) {
       downvotes INTEGER DEFAULT 0,
       reports INTEGER DEFAULT 0,
       is_deleted INTEGER DEFAULT 0,
+      reply_to TEXT,
+      stance TEXT,
+      phase TEXT,
       FOREIGN KEY(debate_id) REFERENCES debates(id),
       FOREIGN KEY(agent_id) REFERENCES agents(id)
     );
@@ -134,12 +163,308 @@ function initSchema(sqlite) {
       FOREIGN KEY(agent_id) REFERENCES agents(id)
     );
 
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      agent_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_salt TEXT NOT NULL,
+      key_hash TEXT NOT NULL,
+      scopes TEXT,
+      created_at INTEGER,
+      last_used_at INTEGER,
+      UNIQUE(agent_id, name),
+      FOREIGN KEY(agent_id) REFERENCES agents(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_claims (
+      id TEXT PRIMARY KEY,
+      agent_id TEXT NOT NULL,
+      operator_name TEXT NOT NULL,
+      operator_id TEXT,
+      challenge TEXT NOT NULL,
+      created_at INTEGER,
+      expires_at INTEGER,
+      confirmed_at INTEGER,
+      FOREIGN KEY(agent_id) REFERENCES agents(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS operators (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      display_name TEXT,
+      password_hash TEXT NOT NULL,
+      created_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS operator_sessions (
+      token_hash TEXT PRIMARY KEY,
+      operator_id TEXT NOT NULL,
+      created_at INTEGER,
+      expires_at INTEGER,
+      FOREIGN KEY(operator_id) REFERENCES operators(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_name_history (
+      id TEXT PRIMARY KEY,
+      agent_id TEXT NOT NULL,
+      old_name TEXT NOT NULL,
+      new_name TEXT NOT NULL,
+      renamed_at INTEGER,
+      FOREIGN KEY(agent_id) REFERENCES agents(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS points_ledger (
+      id TEXT PRIMARY KEY,
+      agent_id TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      requested_amount INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      debate_id TEXT,
+      message_id TEXT,
+      balance_after INTEGER,
+      created_at INTEGER,
+      FOREIGN KEY(agent_id) REFERENCES agents(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS seasons (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      starts_at INTEGER NOT NULL,
+      ends_at INTEGER NOT NULL,
+      finalized_at INTEGER,
+      created_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS season_results (
+      season_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      agent_name TEXT NOT NULL,
+      rank INTEGER NOT NULL,
+      points INTEGER NOT NULL,
+      PRIMARY KEY(season_id, agent_id),
+      FOREIGN KEY(season_id) REFERENCES seasons(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS follows (
+      id TEXT PRIMARY KEY,
+      follower_type TEXT NOT NULL,
+      follower_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      created_at INTEGER,
+      UNIQUE(follower_type, follower_id, agent_id),
+      FOREIGN KEY(agent_id) REFERENCES agents(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_badges (
+      agent_id TEXT NOT NULL,
+      badge TEXT NOT NULL,
+      tier TEXT NOT NULL,
+      awarded_at INTEGER,
+      PRIMARY KEY(agent_id, badge, tier),
+      FOREIGN KEY(agent_id) REFERENCES agents(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS mentions (
+      id TEXT PRIMARY KEY,
+      message_id TEXT NOT NULL,
+      debate_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      mentioned_by TEXT NOT NULL,
+      created_at INTEGER,
+      UNIQUE(message_id, agent_id),
+      FOREIGN KEY(message_id) REFERENCES messages(id),
+      FOREIGN KEY(agent_id) REFERENCES agents(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS notifications (
+      id TEXT PRIMARY KEY,
+      agent_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      actor_agent_id TEXT,
+      debate_id TEXT,
+      message_id TEXT,
+      data TEXT DEFAULT '{}',
+      read_at INTEGER,
+      created_at INTEGER,
+      FOREIGN KEY(agent_id) REFERENCES agents(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS banned_names (
+      pattern TEXT PRIMARY KEY,
+      created_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id TEXT PRIMARY KEY,
+      actor TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      reason TEXT,
+      details TEXT DEFAULT '{}',
+      created_at INTEGER
+    );
+
     CREATE INDEX IF NOT EXISTS idx_messages_debate_created ON messages(debate_id, created_at);
     CREATE INDEX IF NOT EXISTS idx_messages_agent_created ON messages(agent_id, created_at);
     CREATE INDEX IF NOT EXISTS idx_votes_debate_created ON vote_records(debate_id, created_at);
     CREATE INDEX IF NOT EXISTS idx_reactions_message ON message_reactions(message_id);
+    CREATE INDEX IF NOT EXISTS idx_votes_agent_created ON vote_records(agent_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_reactions_agent_created ON message_reactions(agent_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_points_ledger_agent_created ON points_ledger(agent_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_points_ledger_created ON points_ledger(created_at);
+    CREATE INDEX IF NOT EXISTS idx_points_ledger_reason_agent ON points_ledger(reason, agent_id, created_at);
     CREATE INDEX IF NOT EXISTS idx_debates_active_category ON debates(is_active, category);
+    CREATE INDEX IF NOT EXISTS idx_api_keys_agent ON api_keys(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_api_keys_prefix ON api_keys(key_prefix);
+    CREATE INDEX IF NOT EXISTS idx_follows_agent ON follows(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_mentions_agent ON mentions(agent_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_notifications_agent_created ON notifications(agent_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_seasons_starts ON seasons(starts_at);
+    CREATE INDEX IF NOT EXISTS idx_season_results_agent ON season_results(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_agent_claims_agent ON agent_claims(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_name_history_agent ON agent_name_history(agent_id, renamed_at);
+  `);
+
+  // Columns added after the first release (CREATE TABLE IF NOT EXISTS won't add them)
+  if (ensureColumn(sqlite, 'api_keys', 'scopes', 'TEXT')) {
+    sqlite.prepare('UPDATE api_keys SET scopes = ? WHERE scopes IS NULL').run(JSON.stringify(API_KEY_SCOPES));
+  }
+  ensureColumn(sqlite, 'agents', 'verified_at', 'INTEGER');
+  ensureColumn(sqlite, 'agents', 'verified_by', 'TEXT');
+  ensureColumn(sqlite, 'agents', 'operator_id', 'TEXT');
+  ensureColumn(sqlite, 'agents', 'deactivated_at', 'INTEGER');
+  ensureColumn(sqlite, 'agents', 'deleted_at', 'INTEGER');
+  ensureColumn(sqlite, 'agents', 'avatar_url', 'TEXT');
+  // 모델 카드
+  ['model_family', 'operator_name', 'homepage_url', 'source_repo_url', 'languages', 'autonomy_level']
+    .forEach(column => ensureColumn(sqlite, 'agents', column, 'TEXT'));
+  sqlite.exec('CREATE INDEX IF NOT EXISTS idx_agents_model_family ON agents(model_family)');
+  sqlite.exec('CREATE INDEX IF NOT EXISTS idx_agents_operator ON agents(operator_id)');
+  if (ensureColumn(sqlite, 'debates', 'creator_agent_id', 'TEXT')) {
+    // 기존 토론은 이름으로 작성 에이전트를 찾는다 (이름 변경 시 creator_name 도 함께 바뀌어 왔음)
+    sqlite.exec(`
+      UPDATE debates SET creator_agent_id = (SELECT a.id FROM agents a WHERE a.name = debates.creator_name)
+      WHERE creator_type = 'agent'
+    `);
+  }
+  sqlite.exec('CREATE INDEX IF NOT EXISTS idx_debates_creator_agent ON debates(creator_agent_id, created_at)');
+  ensureColumn(sqlite, 'messages', 'reply_to', 'TEXT');
+  sqlite.exec('CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to)');
+  ensureColumn(sqlite, 'messages', 'stance', 'TEXT');
+  ensureColumn(sqlite, 'agent_claims', 'operator_id', 'TEXT');
+  ensureColumn(sqlite, 'debates', 'format', "TEXT DEFAULT 'free'");
+  ensureColumn(sqlite, 'messages', 'phase', 'TEXT');
+  ensureColumn(sqlite, 'debates', 'start_at', 'INTEGER');
+  if (ensureColumn(sqlite, 'debates', 'ends_at', 'INTEGER')) {
+    // 기존 토론은 생성 시각부터 예전 고정 기간(6시간)
+    sqlite.exec(`UPDATE debates SET start_at = created_at, ends_at = created_at + ${6 * 60 * 60 * 1000}`);
+  }
+  sqlite.exec('CREATE INDEX IF NOT EXISTS idx_debates_active_ends ON debates(is_active, ends_at)');
+  ensureColumn(sqlite, 'debates', 'closed_at', 'INTEGER');
+  ensureColumn(sqlite, 'debates', 'outcome', 'TEXT');
+  ensureColumn(sqlite, 'debates', 'winner', 'TEXT');
+  sqlite.exec('CREATE INDEX IF NOT EXISTS idx_debates_closed ON debates(is_active, closed_at)');
+
+  // 금지 닉네임: 최초 1회만 기본 목록으로 채운다 (이후 관리자 API로 편집)
+  if (seedBannedNames) {
+    const insertBanned = sqlite.prepare('INSERT OR IGNORE INTO banned_names (pattern, created_at) VALUES (?, ?)');
+    DEFAULT_BANNED_NAMES.forEach(p => insertBanned.run(p, Date.now()));
+  }
+
+  if (seedPointsLedger) {
+    runInTransaction(sqlite, () => seedLedgerFromExistingPoints(sqlite));
+  }
+
+  runInTransaction(sqlite, () => migrateLegacyApiKeys(sqlite));
+}
+
+// points_ledger 도입 시 1회: 기존 포인트를 opening_balance 한 줄로 남겨 ledger 합계 = agents.points 를 맞춘다
+function seedLedgerFromExistingPoints(sqlite) {
+  const agents = sqlite.prepare('SELECT id, points, created_at FROM agents WHERE points != 0').all();
+  const insert = sqlite.prepare(`
+    INSERT INTO points_ledger (id, agent_id, amount, requested_amount, reason, balance_after, created_at)
+    VALUES (?, ?, ?, ?, 'opening_balance', ?, ?)
+  `);
+  agents.forEach(a => {
+    insert.run(crypto.randomUUID(), a.id, a.points, a.points, a.points, a.created_at || Date.now());
+  });
+}
+
+function tableExists(sqlite, table) {
+  return !!sqlite.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+}
+
+// Add a column to an existing table if missing → true when it was just added
+function ensureColumn(sqlite, table, column, definition) {
+  if (hasColumn(sqlite, table, column)) return false;
+  sqlite.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+function hasColumn(sqlite, table, column) {
+  return sqlite.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+// An api_keys table from before hashing stored the plaintext key.
+// Move it aside so initSchema can create the hashed layout; rows are re-inserted below.
+function setAsidePlaintextApiKeys(sqlite) {
+  if (hasColumn(sqlite, 'api_keys', 'api_key')) {
+    sqlite.exec('ALTER TABLE api_keys RENAME TO api_keys_plaintext');
+  }
+}
+
+// One-time migration: no plaintext API key stays on disk.
+// - api_keys_plaintext rows (see above) → hashed api_keys rows
+// - agents registered before api_keys existed → hashed "default" key
+// - agents.api_key → non-secret placeholder (column kept for schema compatibility)
+function migrateLegacyApiKeys(sqlite) {
+  const insertKey = sqlite.prepare(`
+    INSERT INTO api_keys (id, agent_id, name, key_prefix, key_salt, key_hash, scopes, created_at, last_used_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
+  const allScopes = JSON.stringify(API_KEY_SCOPES);
+  const insertHashed = (id, agentId, name, apiKey, createdAt, lastUsedAt) => {
+    const stored = hashForStorage(apiKey);
+    insertKey.run(id, agentId, name, stored.key_prefix, stored.key_salt, stored.key_hash, allScopes, createdAt, lastUsedAt);
+  };
+
+  if (tableExists(sqlite, 'api_keys_plaintext')) {
+    for (const k of sqlite.prepare('SELECT * FROM api_keys_plaintext').all()) {
+      insertHashed(k.id, k.agent_id, k.name, k.api_key, k.created_at ?? Date.now(), k.last_used_at ?? null);
+    }
+    sqlite.exec('DROP TABLE api_keys_plaintext');
+  }
+
+  const legacy = sqlite.prepare(`
+    SELECT a.id, a.api_key, a.created_at
+    FROM agents a
+    WHERE a.api_key NOT LIKE 'hashed:%'
+      AND NOT EXISTS (SELECT 1 FROM api_keys k WHERE k.agent_id = a.id)
+  `).all();
+  for (const a of legacy) {
+    insertHashed(crypto.randomUUID(), a.id, 'default', a.api_key, a.created_at ?? Date.now(), null);
+  }
+
+  sqlite.exec("UPDATE agents SET api_key = 'hashed:' || id WHERE api_key NOT LIKE 'hashed:%'");
+}
+
+function runInTransaction(sqlite, fn) {
+  if (ImplName === 'better-sqlite3' && typeof sqlite.transaction === 'function') {
+    return sqlite.transaction(fn)();
+  }
+  // node:sqlite: manual transaction
+  sqlite.exec('BEGIN');
+  try {
+    const result = fn();
+    sqlite.exec('COMMIT');
+    return result;
+  } catch (e) {
+    try { sqlite.exec('ROLLBACK'); } catch (_) {}
+    throw e;
+  }
 }
 
 function migrateJsonToSqlite(jsonPath) {
@@ -265,20 +590,7 @@ function migrateJsonToSqlite(jsonPath) {
     }
   };
 
-  if (ImplName === 'better-sqlite3' && typeof sqlite.transaction === 'function') {
-    const tx = sqlite.transaction(runMigration);
-    tx();
-  } else {
-    // node:sqlite: manual transaction
-    sqlite.exec('BEGIN');
-    try {
-      runMigration();
-      sqlite.exec('COMMIT');
-    } catch (e) {
-      try { sqlite.exec('ROLLBACK'); } catch (_) {}
-      throw e;
-    }
-  }
+  runInTransaction(sqlite, runMigration);
   closeSqlite(sqlite);
 
   // Atomic-ish replace: move original JSON aside, then move sqlite into place.
@@ -321,6 +633,8 @@ module.exports = {
     return undefined;
   },
   close: () => closeSqlite(sqlite),
+  // Run fn inside BEGIN/COMMIT (rolls back if it throws)
+  transaction: (fn) => runInTransaction(sqlite, fn),
 
   // For operational visibility
   _db_path: DB_PATH,
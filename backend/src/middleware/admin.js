@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * Middleware: Require the admin token (ADMIN_TOKEN env) via Bearer header
+ * The admin API is disabled entirely when ADMIN_TOKEN is not set.
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Admin API disabled', message: 'Set ADMIN_TOKEN to enable it' });
+  }
+
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  if (!token || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  next();
+}
+
+module.exports = { requireAdmin };
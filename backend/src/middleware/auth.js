@@ -1,10 +1,69 @@
+const { v4: uuidv4 } = require('uuid');
 const db = require('../database');
+const { API_KEY_SCOPES, generateApiKey, keyPrefix, hashForStorage, verifyApiKey } = require('../utils/apiKeys');
+const { findBannedPattern } = require('../utils/names');
 
-// Banned nickname patterns
-const BANNED_PATTERNS = [
-  'claude', 'gpt', 'gemini', 'chatgpt', 'bard', 'copilot',
-  'anonymous', 'admin', 'moderator', 'system', 'human'
-];
+// Banned nickname patterns (banned_names table, editable via the admin API)
+function getBannedNames() {
+  return db.prepare('SELECT pattern FROM banned_names ORDER BY pattern').all().map(r => r.pattern);
+}
+
+// API key management
+const MAX_KEYS_PER_AGENT = 10;
+const KEY_LAST_USED_RESOLUTION = 60 * 1000; // last_used_at 갱신 최소 간격
+
+/**
+ * Issue a new named API key for an agent → returns { id, name, api_key, scopes, created_at }
+ */
+function createApiKey(agentId, name, { apiKey = generateApiKey(), scopes = API_KEY_SCOPES } = {}) {
+  const key = {
+    id: uuidv4(),
+    name,
+    api_key: apiKey,
+    scopes,
+    created_at: Date.now()
+  };
+  const stored = hashForStorage(apiKey);
+  db.prepare(`
+    INSERT INTO api_keys (id, agent_id, name, key_prefix, key_salt, key_hash, scopes, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(key.id, agentId, key.name, stored.key_prefix, stored.key_salt, stored.key_hash, JSON.stringify(scopes), key.created_at);
+  return key;
+}
+
+/**
+ * Replace the secret of an existing key → returns the new plaintext key
+ */
+function rotateApiKey(keyId) {
+  const apiKey = generateApiKey();
+  const stored = hashForStorage(apiKey);
+  db.prepare(`
+    UPDATE api_keys SET key_prefix = ?, key_salt = ?, key_hash = ?, created_at = ?, last_used_at = NULL
+    WHERE id = ?
+  `).run(stored.key_prefix, stored.key_salt, stored.key_hash, Date.now(), keyId);
+  return apiKey;
+}
+
+/**
+ * Resolve a Bearer token to { agent, key } (or null)
+ */
+function findAgentByApiKey(apiKey) {
+  const candidates = db.prepare('SELECT * FROM api_keys WHERE key_prefix = ?').all(keyPrefix(apiKey));
+  const key = candidates.find(row => verifyApiKey(apiKey, row));
+  if (!key) return null;
+  try { key.scopes = JSON.parse(key.scopes || '[]'); } catch (e) { key.scopes = []; }
+
+  const agent = db.prepare('SELECT * FROM agents WHERE id = ?').get(key.agent_id);
+  if (!agent) return null;
+
+  const now = Date.now();
+  if (!key.last_used_at || now - key.last_used_at >= KEY_LAST_USED_RESOLUTION) {
+    db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(now, key.id);
+    key.last_used_at = now;
+  }
+
+  return { agent, key };
+}
 
 /**
  * Middleware: Require agent authentication via Bearer token
@@ -20,15 +79,24 @@ function requireAgent(req, res, next) {
   }
 
   const apiKey = authHeader.slice(7);
-  const agent = db.prepare('SELECT * FROM agents WHERE api_key = ?').get(apiKey);
+  const auth = findAgentByApiKey(apiKey);
 
-  if (!agent) {
+  if (!auth) {
     return res.status(401).json({
       error: 'Invalid API key',
       message: 'The provided API key is not valid'
     });
   }
 
+  const { agent, key } = auth;
+
+  if (agent.deactivated_at) {
+    return res.status(403).json({
+      error: 'Agent deactivated',
+      message: 'This agent has been deactivated by its operator'
+    });
+  }
+
   // Check ban status
   if (agent.banned_until && Date.now() < agent.banned_until) {
     const daysLeft = Math.ceil((agent.banned_until - Date.now()) / 86400000);
@@ -43,6 +111,7 @@ function requireAgent(req, res, next) {
   agent.interests = JSON.parse(agent.interests || '[]');
 
   req.agent = agent;
+  req.apiKey = key;
   next();
 }
 
@@ -54,42 +123,71 @@ function optionalAgent(req, res, next) {
 
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const apiKey = authHeader.slice(7);
-    const agent = db.prepare('SELECT * FROM agents WHERE api_key = ?').get(apiKey);
-    if (agent) {
-      agent.interests = JSON.parse(agent.interests || '[]');
-      req.agent = agent;
+    const auth = findAgentByApiKey(apiKey);
+    if (auth && !auth.agent.deactivated_at) {
+      auth.agent.interests = JSON.parse(auth.agent.interests || '[]');
+      req.agent = auth.agent;
+      req.apiKey = auth.key;
     }
   }
 
   next();
 }
 
+/**
+ * Middleware factory: the authenticated key must carry `scope` (use after requireAgent)
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey || !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        message: `This API key does not have the "${scope}" scope`,
+        required_scope: scope
+      });
+    }
+    next();
+  };
+}
+
 /**
  * Validate nickname against rules
+ * options.agentId: the agent being renamed (its own current/former names are allowed)
  */
-function validateNickname(name) {
+function validateNickname(name, options = {}) {
   const lowerName = name.toLowerCase().trim();
 
   if (lowerName.length < 3 || lowerName.length > 20) {
     return { valid: false, message: 'Name must be 3-20 characters' };
   }
 
-  if (!/^[a-zA-Z0-9_-]+$/.test(name.trim())) {
-    return { valid: false, message: 'Name can only contain letters, numbers, hyphens, and underscores' };
+  // 문자 제한보다 먼저 검사해야 "GPТ"(키릴 문자) 같은 이름에 정확한 사유를 돌려줄 수 있다
+  const banned = findBannedPattern(lowerName, getBannedNames());
+  if (banned) {
+    return { valid: false, message: `Names containing "${banned}" (or look-alikes) are not allowed. Use a unique creative name.` };
   }
 
-  for (const banned of BANNED_PATTERNS) {
-    if (lowerName.includes(banned)) {
-      return { valid: false, message: `Names containing "${banned}" are not allowed. Use a unique creative name.` };
-    }
+  if (!/^[a-zA-Z0-9_-]+$/.test(name.trim())) {
+    return { valid: false, message: 'Name can only contain letters, numbers, hyphens, and underscores' };
   }
 
   const existing = db.prepare('SELECT id FROM agents WHERE LOWER(name) = ?').get(lowerName);
-  if (existing) {
+  if (existing && existing.id !== options.agentId) {
     return { valid: false, message: 'This name is already taken' };
   }
 
+  // 다른 에이전트의 이전 이름은 예약 (이전 이름 조회가 항상 한 에이전트로 연결되도록)
+  const former = db.prepare(
+    'SELECT agent_id FROM agent_name_history WHERE LOWER(old_name) = ? AND agent_id != ?'
+  ).get(lowerName, options.agentId || '');
+  if (former) {
+    return { valid: false, message: 'This name was used by another agent and is reserved' };
+  }
+
   return { valid: true };
 }
 
-module.exports = { requireAgent, optionalAgent, validateNickname, BANNED_PATTERNS };
+module.exports = {
+  requireAgent, optionalAgent, requireScope, validateNickname, getBannedNames, findAgentByApiKey,
+  API_KEY_SCOPES, generateApiKey, createApiKey, rotateApiKey, MAX_KEYS_PER_AGENT
+};
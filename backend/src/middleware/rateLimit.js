@@ -71,4 +71,57 @@ function rateLimitMiddleware(actionType) {
   };
 }
 
-module.exports = { checkRateLimit, updateRateLimit, rateLimitMiddleware, RATE_LIMITS };
+// 인증 전 요청(추측 공격 대상)용 고정 윈도우 시도 제한. 메모리에만 두며 서버 재시작 시 초기화된다.
+const ATTEMPT_LIMITS = {
+  claim: { interval: 15 * 60 * 1000, max: 10, label: 'Claim attempts (10 per 15min)' },
+  // 비밀번호 대입 방지: IP 와 대상 username 양쪽으로 센다
+  login: { interval: 15 * 60 * 1000, max: 10, label: 'Login attempts (10 per 15min)', by_username: true }
+};
+const attempts = new Map(); // `${actionType}:${key}` → { count, reset_at }
+
+/**
+ * Express middleware factory: limit attempts per client IP and per logged-in operator
+ * (and per requested username for limits with by_username)
+ */
+function attemptLimitMiddleware(actionType) {
+  const limit = ATTEMPT_LIMITS[actionType];
+  return (req, res, next) => {
+    const now = Date.now();
+    const keys = [`${actionType}:ip:${req.ip}`];
+    if (req.operator) keys.push(`${actionType}:operator:${req.operator.id}`);
+    if (limit.by_username && typeof req.body.username === 'string') {
+      keys.push(`${actionType}:username:${req.body.username.trim()}`);
+    }
+
+    const buckets = keys.map(key => {
+      let bucket = attempts.get(key);
+      if (!bucket || bucket.reset_at <= now) {
+        bucket = { count: 0, reset_at: now + limit.interval };
+        attempts.set(key, bucket);
+      }
+      return bucket;
+    });
+
+    const blocked = buckets.find(b => b.count >= limit.max);
+    if (blocked) {
+      const waitSeconds = Math.ceil((blocked.reset_at - now) / 1000);
+      return res.status(429).json({
+        error: 'Rate limited',
+        message: `${limit.label}: wait ${waitSeconds}s`,
+        wait_seconds: waitSeconds,
+        retry_after: blocked.reset_at
+      });
+    }
+    buckets.forEach(b => { b.count += 1; });
+
+    // 만료된 항목 정리
+    if (attempts.size > 10000) {
+      attempts.forEach((b, key) => { if (b.reset_at <= now) attempts.delete(key); });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  checkRateLimit, updateRateLimit, rateLimitMiddleware, attemptLimitMiddleware, RATE_LIMITS, ATTEMPT_LIMITS
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const db = require('../database');
+
+// Operator(인간 운영자) 세션: HttpOnly 쿠키에 랜덤 토큰, DB에는 sha256 해시만 저장
+const SESSION_COOKIE = 'agora_session';
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30일
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const name = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    try { cookies[name] = decodeURIComponent(value); } catch (e) { cookies[name] = value; }
+  }
+  return cookies;
+}
+
+function cookieOptions(maxAgeMs) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge: maxAgeMs
+  };
+}
+
+/**
+ * Start a session for an operator and set the cookie on the response
+ */
+function createSession(res, operatorId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  db.prepare(`
+    INSERT INTO operator_sessions (token_hash, operator_id, created_at, expires_at)
+    VALUES (?, ?, ?, ?)
+  `).run(hashToken(token), operatorId, now, now + SESSION_TTL);
+
+  res.cookie(SESSION_COOKIE, token, cookieOptions(SESSION_TTL));
+}
+
+/**
+ * End the current session (if any) and clear the cookie
+ */
+function destroySession(req, res) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) {
+    db.prepare('DELETE FROM operator_sessions WHERE token_hash = ?').run(hashToken(token));
+  }
+  res.clearCookie(SESSION_COOKIE, { ...cookieOptions(0), maxAge: undefined });
+}
+
+function findOperatorBySession(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return null;
+
+  const session = db.prepare('SELECT * FROM operator_sessions WHERE token_hash = ?').get(hashToken(token));
+  if (!session) return null;
+  if (session.expires_at < Date.now()) {
+    db.prepare('DELETE FROM operator_sessions WHERE token_hash = ?').run(session.token_hash);
+    return null;
+  }
+
+  return db.prepare(
+    'SELECT id, username, display_name, created_at FROM operators WHERE id = ?'
+  ).get(session.operator_id) || null;
+}
+
+/**
+ * Middleware: Require a logged-in operator (session cookie)
+ */
+function requireOperator(req, res, next) {
+  const operator = findOperatorBySession(req);
+  if (!operator) {
+    return res.status(401).json({
+      error: 'Login required',
+      message: 'Log in via POST /api/v1/operators/login'
+    });
+  }
+  req.operator = operator;
+  next();
+}
+
+/**
+ * Middleware: Optional operator session (attach operator if logged in)
+ */
+function optionalOperator(req, res, next) {
+  const operator = findOperatorBySession(req);
+  if (operator) req.operator = operator;
+  next();
+}
+
+module.exports = { requireOperator, optionalOperator, createSession, destroySession };
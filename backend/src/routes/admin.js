@@ -0,0 +1,417 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { requireAdmin } = require('../middleware/admin');
+const { getBannedNames } = require('../middleware/auth');
+const { toSkeleton } = require('../utils/names');
+const { invalidateAgentStats } = require('../utils/agentStats');
+const { invalidateReputation } = require('../utils/reputation');
+const { awardPoints, reconcilePoints } = require('../utils/points');
+const { serializeSeason, seasonStatus } = require('../utils/seasons');
+const { extendDebate, closeDebate } = require('../utils/debateSchedule');
+const { parseTimestamp } = require('../utils/validation');
+const { updateDebateActivity } = require('./messages');
+
+const router = express.Router();
+
+// 모든 관리자 API는 ADMIN_TOKEN 필요. 모든 변경은 admin_audit_log 에 기록한다.
+router.use(requireAdmin);
+
+function logAdminAction(req, action, targetType, targetId, details = {}) {
+  db.prepare(`
+    INSERT INTO admin_audit_log (id, actor, action, target_type, target_id, reason, details, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    uuidv4(),
+    (req.get('X-Admin-Name') || 'admin').slice(0, 40),
+    action,
+    targetType,
+    targetId,
+    typeof req.body.reason === 'string' ? req.body.reason.slice(0, 500) : null,
+    JSON.stringify(details),
+    Date.now()
+  );
+}
+
+// 메시지에 대해 아직 되돌리지 않은 포인트 (같은 사유의 ledger 합계) → Map<agentId, amount>
+function outstandingPoints(messageId, reason) {
+  return new Map(db.prepare(`
+    SELECT agent_id, SUM(amount) as total FROM points_ledger
+    WHERE message_id = ? AND reason = ?
+    GROUP BY agent_id
+  `).all(messageId, reason).map(r => [r.agent_id, r.total]));
+}
+
+/**
+ * POST /api/v1/admin/messages/:messageId/restore
+ * Undo an auto-moderation deletion: drops the downvotes and reports, refunds the downvote
+ * deductions and takes back the accurate_report bonuses (same reasons, opposite amounts)
+ */
+router.post('/messages/:messageId/restore', (req, res) => {
+  const message = db.prepare('SELECT * FROM messages WHERE id = ?').get(req.params.messageId);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  if (!message.is_deleted) {
+    return res.status(400).json({ error: 'Message is not deleted' });
+  }
+
+  const opts = { debateId: message.debate_id, messageId: message.id };
+  db.transaction(() => {
+    db.prepare("DELETE FROM message_reactions WHERE message_id = ? AND reaction_type IN ('downvote', 'report')")
+      .run(message.id);
+    db.prepare('UPDATE messages SET is_deleted = 0, reports = 0, downvotes = 0 WHERE id = ?').run(message.id);
+    db.prepare('UPDATE agents SET deleted_count = MAX(0, deleted_count - 1) WHERE id = ?').run(message.agent_id);
+
+    outstandingPoints(message.id, 'downvote_received').forEach((total, agentId) => {
+      if (total < 0) awardPoints(agentId, -total, 'downvote_received', opts);
+    });
+    outstandingPoints(message.id, 'accurate_report').forEach((total, agentId) => {
+      if (total > 0) awardPoints(agentId, -total, 'accurate_report', opts);
+    });
+  });
+  updateDebateActivity(message.debate_id);
+  invalidateAgentStats(message.agent_id);
+  invalidateReputation();
+
+  logAdminAction(req, 'message.restore', 'message', message.id, {
+    agent_id: message.agent_id,
+    previous_reports: message.reports,
+    previous_downvotes: message.downvotes
+  });
+
+  res.json({ success: true, message: 'Message restored' });
+});
+
+/**
+ * POST /api/v1/admin/agents/:agentId/unban
+ * Lift a ban. body: { reset_deleted_count? }
+ */
+router.post('/agents/:agentId/unban', (req, res) => {
+  const agent = db.prepare('SELECT id, banned_until, deleted_count FROM agents WHERE id = ?').get(req.params.agentId);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const resetDeleted = !!req.body.reset_deleted_count;
+  db.prepare(`
+    UPDATE agents SET banned_until = NULL${resetDeleted ? ', deleted_count = 0' : ''} WHERE id = ?
+  `).run(agent.id);
+  if (resetDeleted) invalidateReputation();
+
+  logAdminAction(req, 'agent.unban', 'agent', agent.id, {
+    previous_banned_until: agent.banned_until,
+    previous_deleted_count: agent.deleted_count,
+    reset_deleted_count: resetDeleted
+  });
+
+  res.json({ success: true, message: 'Ban lifted' });
+});
+
+/**
+ * POST /api/v1/admin/agents/:agentId/points
+ * Correct an agent's points. body: { amount, reason }
+ */
+router.post('/agents/:agentId/points', (req, res) => {
+  const amount = parseInt(req.body.amount);
+  if (!Number.isFinite(amount) || amount === 0) {
+    return res.status(400).json({ error: 'amount must be a non-zero integer' });
+  }
+  if (!req.body.reason) {
+    return res.status(400).json({ error: 'reason is required for point corrections' });
+  }
+
+  const agent = db.prepare('SELECT id, points FROM agents WHERE id = ?').get(req.params.agentId);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const applied = awardPoints(agent.id, amount, 'admin_adjustment');
+  const newPoints = agent.points + applied;
+
+  logAdminAction(req, 'agent.points_adjust', 'agent', agent.id, {
+    amount,
+    applied,
+    previous_points: agent.points,
+    new_points: newPoints
+  });
+
+  res.json({ success: true, points: newPoints, applied });
+});
+
+/**
+ * GET /api/v1/admin/points/reconcile
+ * Agents whose points do not match their ledger sum
+ */
+router.get('/points/reconcile', (req, res) => {
+  const mismatches = reconcilePoints();
+  res.json({ ok: mismatches.length === 0, mismatches });
+});
+
+/**
+ * POST /api/v1/admin/agents/:agentId/verify
+ * Verify an agent directly (admin confirmation instead of the claim challenge)
+ */
+router.post('/agents/:agentId/verify', (req, res) => {
+  const agent = db.prepare('SELECT id, is_verified FROM agents WHERE id = ?').get(req.params.agentId);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+  if (agent.is_verified) {
+    return res.status(409).json({ error: 'Agent is already verified' });
+  }
+
+  const verifiedBy = typeof req.body.operator_name === 'string' && req.body.operator_name.trim()
+    ? req.body.operator_name.trim().slice(0, 40)
+    : 'admin';
+  const now = Date.now();
+  db.prepare(`
+    UPDATE agents SET is_verified = 1, verified_at = ?, verified_by = ?, claim_code = NULL WHERE id = ?
+  `).run(now, verifiedBy, agent.id);
+
+  logAdminAction(req, 'agent.verify', 'agent', agent.id, { verified_by: verifiedBy });
+
+  res.json({ success: true, verified_at: now, verified_by: verifiedBy });
+});
+
+/**
+ * POST /api/v1/admin/debates/:debateId/deactivate
+ * Close a debate before its TTL
+ */
+router.post('/debates/:debateId/deactivate', (req, res) => {
+  const debate = db.prepare('SELECT * FROM debates WHERE id = ?').get(req.params.debateId);
+  if (!debate) {
+    return res.status(404).json({ error: 'Debate not found' });
+  }
+  if (!debate.is_active) {
+    return res.status(400).json({ error: 'Debate is already inactive' });
+  }
+
+  closeDebate(debate);
+  logAdminAction(req, 'debate.deactivate', 'debate', debate.id);
+
+  res.json({ success: true, message: 'Debate deactivated' });
+});
+
+/**
+ * POST /api/v1/admin/debates/:debateId/extend
+ * Extend an open debate without spending points. body: { hours, reason? }
+ */
+router.post('/debates/:debateId/extend', (req, res) => {
+  const debate = db.prepare('SELECT * FROM debates WHERE id = ?').get(req.params.debateId);
+  if (!debate) {
+    return res.status(404).json({ error: 'Debate not found' });
+  }
+
+  const result = extendDebate(debate, req.body.hours);
+  if (!result.valid) {
+    return res.status(result.status).json({ error: 'Cannot extend debate', message: result.message });
+  }
+  logAdminAction(req, 'debate.extend', 'debate', debate.id, {
+    hours: req.body.hours,
+    previous_ends_at: debate.ends_at,
+    new_ends_at: result.ends_at
+  });
+
+  res.json({ success: true, ends_at: result.ends_at });
+});
+
+/**
+ * PATCH /api/v1/admin/debates/:debateId
+ * Edit a debate topic. body: { topic }
+ */
+router.patch('/debates/:debateId', (req, res) => {
+  const { topic } = req.body;
+  if (!topic || topic.trim().length < 5) {
+    return res.status(400).json({ error: 'Topic must be at least 5 characters' });
+  }
+
+  const debate = db.prepare('SELECT id, topic FROM debates WHERE id = ?').get(req.params.debateId);
+  if (!debate) {
+    return res.status(404).json({ error: 'Debate not found' });
+  }
+
+  db.prepare('UPDATE debates SET topic = ? WHERE id = ?').run(topic.trim(), debate.id);
+  logAdminAction(req, 'debate.edit_topic', 'debate', debate.id, {
+    previous_topic: debate.topic,
+    new_topic: topic.trim()
+  });
+
+  res.json({ success: true, message: 'Topic updated' });
+});
+
+/**
+ * GET /api/v1/admin/banned-names
+ */
+router.get('/banned-names', (req, res) => {
+  res.json({ patterns: getBannedNames() });
+});
+
+/**
+ * POST /api/v1/admin/banned-names
+ * Add a banned name pattern. body: { pattern }
+ */
+router.post('/banned-names', (req, res) => {
+  const pattern = typeof req.body.pattern === 'string' ? req.body.pattern.toLowerCase().trim() : '';
+  // skeleton 이 너무 짧으면 거의 모든 이름이 걸린다
+  if (pattern.length > 20 || toSkeleton(pattern).length < 2) {
+    return res.status(400).json({ error: 'Pattern must contain at least 2 letters and be at most 20 characters' });
+  }
+
+  const result = db.prepare('INSERT OR IGNORE INTO banned_names (pattern, created_at) VALUES (?, ?)')
+    .run(pattern, Date.now());
+  if (!result.changes) {
+    return res.status(409).json({ error: 'Pattern already banned' });
+  }
+
+  logAdminAction(req, 'banned_name.add', 'banned_name', pattern);
+  res.status(201).json({ success: true, pattern });
+});
+
+/**
+ * DELETE /api/v1/admin/banned-names/:pattern
+ */
+router.delete('/banned-names/:pattern', (req, res) => {
+  const pattern = req.params.pattern.toLowerCase().trim();
+  const result = db.prepare('DELETE FROM banned_names WHERE pattern = ?').run(pattern);
+  if (!result.changes) {
+    return res.status(404).json({ error: 'Pattern not found' });
+  }
+
+  logAdminAction(req, 'banned_name.remove', 'banned_name', pattern);
+  res.json({ success: true });
+});
+
+// 시즌 기간 검증 → 에러 메시지 또는 null
+function validateSeasonRange(startsAt, endsAt, excludeId = null) {
+  if (startsAt === null || endsAt === null) {
+    return 'starts_at and ends_at must be timestamps (ms) or ISO dates';
+  }
+  if (endsAt <= startsAt) {
+    return 'ends_at must be after starts_at';
+  }
+  const overlap = db.prepare(`
+    SELECT name FROM seasons WHERE starts_at < ? AND ends_at > ? AND id != ?
+  `).get(endsAt, startsAt, excludeId || '');
+  if (overlap) {
+    return `Overlaps with season "${overlap.name}"`;
+  }
+  return null;
+}
+
+/**
+ * POST /api/v1/admin/seasons
+ * Define a season. body: { name, starts_at, ends_at }
+ */
+router.post('/seasons', (req, res) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 60) : '';
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  const startsAt = parseTimestamp(req.body.starts_at);
+  const endsAt = parseTimestamp(req.body.ends_at);
+  const error = validateSeasonRange(startsAt, endsAt);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const season = { id: uuidv4(), name, starts_at: startsAt, ends_at: endsAt, finalized_at: null, created_at: Date.now() };
+  db.prepare(`
+    INSERT INTO seasons (id, name, starts_at, ends_at, created_at) VALUES (?, ?, ?, ?, ?)
+  `).run(season.id, name, startsAt, endsAt, season.created_at);
+
+  logAdminAction(req, 'season.create', 'season', season.id, { name, starts_at: startsAt, ends_at: endsAt });
+  res.status(201).json({ success: true, season: serializeSeason(season) });
+});
+
+/**
+ * PATCH /api/v1/admin/seasons/:seasonId
+ * Rename or reschedule a season that has not been finalized.
+ * Setting ends_at to now ends it early. body: { name?, starts_at?, ends_at? }
+ */
+router.patch('/seasons/:seasonId', (req, res) => {
+  const season = db.prepare('SELECT * FROM seasons WHERE id = ?').get(req.params.seasonId);
+  if (!season) {
+    return res.status(404).json({ error: 'Season not found' });
+  }
+  if (season.finalized_at) {
+    return res.status(400).json({ error: 'Season is already finalized' });
+  }
+
+  const name = typeof req.body.name === 'string' && req.body.name.trim()
+    ? req.body.name.trim().slice(0, 60)
+    : season.name;
+  const startsAt = req.body.starts_at !== undefined ? parseTimestamp(req.body.starts_at) : season.starts_at;
+  const endsAt = req.body.ends_at !== undefined ? parseTimestamp(req.body.ends_at) : season.ends_at;
+
+  if (startsAt !== season.starts_at && seasonStatus(season) !== 'scheduled') {
+    return res.status(400).json({ error: 'Cannot move the start of a season that has already started' });
+  }
+  const error = validateSeasonRange(startsAt, endsAt, season.id);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.prepare('UPDATE seasons SET name = ?, starts_at = ?, ends_at = ? WHERE id = ?')
+    .run(name, startsAt, endsAt, season.id);
+  logAdminAction(req, 'season.update', 'season', season.id, {
+    previous: { name: season.name, starts_at: season.starts_at, ends_at: season.ends_at },
+    name, starts_at: startsAt, ends_at: endsAt
+  });
+
+  res.json({ success: true, season: serializeSeason({ ...season, name, starts_at: startsAt, ends_at: endsAt }) });
+});
+
+/**
+ * DELETE /api/v1/admin/seasons/:seasonId
+ * Only seasons that have not started yet
+ */
+router.delete('/seasons/:seasonId', (req, res) => {
+  const season = db.prepare('SELECT * FROM seasons WHERE id = ?').get(req.params.seasonId);
+  if (!season) {
+    return res.status(404).json({ error: 'Season not found' });
+  }
+  if (seasonStatus(season) !== 'scheduled') {
+    return res.status(400).json({ error: 'Only seasons that have not started can be deleted' });
+  }
+
+  db.prepare('DELETE FROM seasons WHERE id = ?').run(season.id);
+  logAdminAction(req, 'season.delete', 'season', season.id, { name: season.name });
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/v1/admin/audit
+ * Audit log (newest first). query: action, target_id, limit, offset
+ */
+router.get('/audit', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const where = [];
+  const params = [];
+  if (req.query.action) {
+    where.push('action = ?');
+    params.push(req.query.action);
+  }
+  if (req.query.target_id) {
+    where.push('target_id = ?');
+    params.push(req.query.target_id);
+  }
+  const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const entries = db.prepare(`
+    SELECT * FROM admin_audit_log ${whereClause}
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  entries.forEach(e => {
+    try { e.details = JSON.parse(e.details || '{}'); } catch (err) { e.details = {}; }
+  });
+
+  res.json({ entries, limit, offset });
+});
+
+module.exports = router;
@@ -1,15 +1,33 @@
 const express = require('express');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../database');
-const { requireAgent, validateNickname } = require('../middleware/auth');
+const {
+  requireAgent, optionalAgent, requireScope, validateNickname,
+  API_KEY_SCOPES, generateApiKey, createApiKey, rotateApiKey, MAX_KEYS_PER_AGENT
+} = require('../middleware/auth');
+const { requireOperator, optionalOperator } = require('../middleware/session');
+const { attemptLimitMiddleware } = require('../middleware/rateLimit');
+const { updateDebateActivity } = require('./messages');
+const { recountVoteDebate } = require('./votes');
+const { CATEGORIES } = require('./debates');
+const { getAgentStats, invalidateAgentStats } = require('../utils/agentStats');
+const { BONUS_REASONS, POINT_REASONS } = require('../utils/points');
+const { getCurrentSeason, getSeasonPoints } = require('../utils/seasons');
+const { renderIdenticon, identiconEtag, validateAvatarUrl } = require('../utils/avatar');
+const { normalizeModelFamily, validateModelCard, serializeModelCard } = require('../utils/modelCard');
+const { getReputation, rankByReputation, invalidateReputation } = require('../utils/reputation');
+const { getAgentBadges, getBadgeSummaries } = require('../utils/badges');
+const { NOTIFICATION_TYPES } = require('../utils/notifications');
 
 const router = express.Router();
 
 /**
  * POST /api/v1/agents/register
  * Register a new AI agent → returns API key
+ * (logged-in operators automatically own the new agent)
  */
-router.post('/register', (req, res) => {
+router.post('/register', optionalOperator, (req, res) => {
   const { name, description, personality, interests } = req.body;
 
   if (!name) {
@@ -22,23 +40,26 @@ router.post('/register', (req, res) => {
   }
 
   const id = uuidv4();
-  const apiKey = `agora_${uuidv4().replace(/-/g, '')}`;
-  const claimCode = `agora-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+  const apiKey = generateApiKey();
+  // agents.api_key 는 스키마 호환용 placeholder. 실제 키는 api_keys 에 해시로만 저장된다.
+  const claimCode = `agora-${crypto.randomBytes(16).toString('hex')}`;
 
   try {
     db.prepare(`
-      INSERT INTO agents (id, api_key, name, description, personality, interests, created_at, claim_code)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO agents (id, api_key, name, description, personality, interests, created_at, claim_code, operator_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       id,
-      apiKey,
+      `hashed:${id}`,
       name.trim(),
       description || '',
       personality || '',
       JSON.stringify(interests || []),
       Date.now(),
-      claimCode
+      claimCode,
+      req.operator ? req.operator.id : null
     );
+    createApiKey(id, 'default', { apiKey });
 
     res.status(201).json({
       success: true,
@@ -49,7 +70,7 @@ router.post('/register', (req, res) => {
         api_key: apiKey,
         claim_code: claimCode
       },
-      important: 'Save your API key! It cannot be recovered.'
+      important: 'Save your API key! It cannot be recovered (operators can reissue keys for agents they own).'
     });
   } catch (err) {
     if (err.message.includes('UNIQUE')) {
@@ -63,16 +84,23 @@ router.post('/register', (req, res) => {
  * GET /api/v1/agents/me
  * Get current agent profile
  */
-router.get('/me', requireAgent, (req, res) => {
+router.get('/me', requireAgent, requireScope('read'), (req, res) => {
   const agent = req.agent;
+  const season = getCurrentSeason();
   res.json({
     id: agent.id,
     name: agent.name,
     description: agent.description,
     personality: agent.personality,
     interests: agent.interests,
+    avatar_url: agent.avatar_url || null,
+    model_card: serializeModelCard(agent),
     points: agent.points,
+    reputation: getReputation(agent.id),
+    season: season ? { id: season.id, name: season.name, points: getSeasonPoints(agent.id, season) } : null,
     is_verified: !!agent.is_verified,
+    verified_at: agent.verified_at,
+    verified_by: agent.verified_by,
     deleted_count: agent.deleted_count,
     created_at: agent.created_at
   });
@@ -82,11 +110,31 @@ router.get('/me', requireAgent, (req, res) => {
  * PATCH /api/v1/agents/me
  * Update agent profile
  */
-router.patch('/me', requireAgent, (req, res) => {
-  const { description, personality, interests } = req.body;
+router.patch('/me', requireAgent, requireScope('agents:write'), (req, res) => {
+  const { description, personality, interests, avatar_url, model_card } = req.body;
   const updates = [];
   const values = [];
 
+  if (model_card !== undefined) {
+    const card = validateModelCard(model_card);
+    if (!card.valid) {
+      return res.status(400).json({ error: 'Invalid model_card', message: card.message, valid_fields: card.valid_fields });
+    }
+    Object.entries(card.columns).forEach(([column, value]) => {
+      updates.push(`${column} = ?`);
+      values.push(value);
+    });
+  }
+
+  if (avatar_url !== undefined) {
+    const avatar = validateAvatarUrl(avatar_url);
+    if (!avatar.valid) {
+      return res.status(400).json({ error: 'Invalid avatar_url', message: avatar.message });
+    }
+    updates.push('avatar_url = ?');
+    values.push(avatar.value);
+  }
+
   if (description !== undefined) {
     updates.push('description = ?');
     values.push(description);
@@ -110,37 +158,1205 @@ router.patch('/me', requireAgent, (req, res) => {
   res.json({ success: true, message: 'Profile updated' });
 });
 
+// ─── Rename ───
+const RENAME_COOLDOWN = 7 * 24 * 60 * 60 * 1000; // 7일에 1회
+
+/**
+ * POST /api/v1/agents/me/rename
+ * Change the agent name (7-day cooldown). Old names stay reserved and resolve to this agent.
+ */
+router.post('/me/rename', requireAgent, requireScope('agents:write'), (req, res) => {
+  const { name } = req.body;
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+
+  const newName = name.trim();
+  if (newName === req.agent.name) {
+    return res.status(400).json({ error: 'That is already your name' });
+  }
+
+  const validation = validateNickname(newName, { agentId: req.agent.id });
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.message });
+  }
+
+  const last = db.prepare(
+    'SELECT renamed_at FROM agent_name_history WHERE agent_id = ? ORDER BY renamed_at DESC LIMIT 1'
+  ).get(req.agent.id);
+  const now = Date.now();
+  if (last && now - last.renamed_at < RENAME_COOLDOWN) {
+    const retryAfter = last.renamed_at + RENAME_COOLDOWN;
+    return res.status(429).json({
+      error: 'Rename cooldown',
+      message: `You can rename again in ${Math.ceil((retryAfter - now) / 3600000)} hour(s)`,
+      retry_after: retryAfter
+    });
+  }
+
+  const oldName = req.agent.name;
+  try {
+    db.transaction(() => {
+      db.prepare('UPDATE agents SET name = ? WHERE id = ?').run(newName, req.agent.id);
+      db.prepare(`
+        INSERT INTO agent_name_history (id, agent_id, old_name, new_name, renamed_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(uuidv4(), req.agent.id, oldName, newName, now);
+      // denormalized 이름 backfill
+      db.prepare('UPDATE messages SET agent_name = ? WHERE agent_id = ?').run(newName, req.agent.id);
+      db.prepare('UPDATE debates SET creator_name = ? WHERE creator_agent_id = ?').run(newName, req.agent.id);
+    });
+  } catch (err) {
+    if (err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'This name is already taken' });
+    }
+    return res.status(500).json({ error: 'Rename failed' });
+  }
+
+  res.json({ success: true, message: 'Agent renamed', old_name: oldName, name: newName });
+});
+
+// ─── API keys (여러 봇 인스턴스용 이름 붙은 키) ───
+function validateKeyName(name) {
+  if (typeof name !== 'string' || name.trim().length < 1 || name.trim().length > 40) {
+    return 'Key name must be 1-40 characters';
+  }
+  return null;
+}
+
+function serializeKey(key, currentKeyId) {
+  return {
+    id: key.id,
+    name: key.name,
+    key_preview: `${key.key_prefix}…`,
+    scopes: typeof key.scopes === 'string' ? JSON.parse(key.scopes) : key.scopes,
+    created_at: key.created_at,
+    last_used_at: key.last_used_at,
+    is_current: key.id === currentKeyId
+  };
+}
+
+// 요청된 scopes 검증. 발급하는 키는 현재 키보다 많은 권한을 가질 수 없다.
+function validateScopes(scopes, currentScopes) {
+  if (scopes === undefined) return { scopes: currentScopes };
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: 'scopes must be a non-empty array' };
+  }
+  const unknown = scopes.filter(s => !API_KEY_SCOPES.includes(s));
+  if (unknown.length > 0) {
+    return { error: `Unknown scope(s): ${unknown.join(', ')}`, valid_scopes: API_KEY_SCOPES };
+  }
+  const escalated = scopes.filter(s => !currentScopes.includes(s));
+  if (escalated.length > 0) {
+    return { error: `Cannot grant scope(s) this key does not have: ${escalated.join(', ')}` };
+  }
+  return { scopes: [...new Set(scopes)] };
+}
+
+// 다른 키를 교체/폐기하려면 그 키의 권한이 현재 키 권한 안에 있어야 한다 (권한 상승 방지)
+function exceedsScopes(key, currentScopes) {
+  const keyScopes = typeof key.scopes === 'string' ? JSON.parse(key.scopes) : (key.scopes || []);
+  return keyScopes.some(s => !currentScopes.includes(s));
+}
+
+// ─── Leaving the platform ───
+const REACTION_COUNTERS = { upvote: 'upvotes', downvote: 'downvotes', report: 'reports' };
+
+// 다른 에이전트 메시지에 남긴 추천/비추천/신고를 제거하고 카운터를 되돌린다
+function removeReactionsGiven(agentId, affectedDebates) {
+  const reactions = db.prepare(`
+    SELECT r.id, r.reaction_type, r.message_id, m.debate_id
+    FROM message_reactions r
+    JOIN messages m ON r.message_id = m.id
+    WHERE r.agent_id = ?
+  `).all(agentId);
+
+  reactions.forEach(r => {
+    const counter = REACTION_COUNTERS[r.reaction_type];
+    if (counter) {
+      db.prepare(`UPDATE messages SET ${counter} = MAX(0, ${counter} - 1) WHERE id = ?`).run(r.message_id);
+    }
+    affectedDebates.add(r.debate_id);
+  });
+  db.prepare('DELETE FROM message_reactions WHERE agent_id = ?').run(agentId);
+}
+
+/**
+ * GET /api/v1/agents/me/points/history
+ * Points ledger, newest first. query: reason, limit, offset
+ */
+router.get('/me/points/history', requireAgent, requireScope('read'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const where = ['l.agent_id = ?'];
+  const params = [req.agent.id];
+  if (req.query.reason) {
+    if (!POINT_REASONS.includes(req.query.reason)) {
+      return res.status(400).json({ error: 'Invalid reason', valid_reasons: POINT_REASONS });
+    }
+    where.push('l.reason = ?');
+    params.push(req.query.reason);
+  }
+
+  const entries = db.prepare(`
+    SELECT l.id, l.amount, l.requested_amount, l.reason, l.debate_id, d.topic as debate_topic,
+           l.message_id, l.balance_after, l.created_at
+    FROM points_ledger l
+    LEFT JOIN debates d ON d.id = l.debate_id
+    WHERE ${where.join(' AND ')}
+    ORDER BY l.created_at DESC, l.rowid DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM points_ledger l WHERE ${where.join(' AND ')}`).get(...params);
+  const sum = db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM points_ledger WHERE agent_id = ?').get(req.agent.id);
+
+  res.json({
+    points: req.agent.points,
+    ledger_total: sum.total,
+    entries,
+    total: total.count,
+    limit,
+    offset
+  });
+});
+
+// ─── Notifications ───
+function serializeNotification(row) {
+  let data = {};
+  try { data = JSON.parse(row.data || '{}'); } catch (e) { data = {}; }
+  return {
+    id: row.id,
+    type: row.type,
+    read: row.read_at !== null,
+    created_at: row.created_at,
+    actor: row.actor_agent_id ? { id: row.actor_agent_id, name: row.actor_name } : null,
+    debate: row.debate_id ? { id: row.debate_id, topic: row.debate_topic } : null,
+    message_id: row.message_id,
+    ...data
+  };
+}
+
+/**
+ * GET /api/v1/agents/me/notifications
+ * Notification inbox, newest first. query: unread (true), type (comma-separated), limit, offset
+ */
+router.get('/me/notifications', requireAgent, requireScope('read'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const where = ['n.agent_id = ?'];
+  const params = [req.agent.id];
+  if (req.query.unread === 'true') {
+    where.push('n.read_at IS NULL');
+  }
+  if (req.query.type) {
+    const types = String(req.query.type).split(',').map(t => t.trim()).filter(Boolean);
+    const invalid = types.filter(t => !NOTIFICATION_TYPES.includes(t));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid type', valid_types: NOTIFICATION_TYPES });
+    }
+    where.push(`n.type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+
+  const notifications = db.prepare(`
+    SELECT n.*, a.name as actor_name, d.topic as debate_topic
+    FROM notifications n
+    LEFT JOIN agents a ON a.id = n.actor_agent_id
+    LEFT JOIN debates d ON d.id = n.debate_id
+    WHERE ${where.join(' AND ')}
+    ORDER BY n.created_at DESC, n.rowid DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM notifications n WHERE ${where.join(' AND ')}`).get(...params);
+  const unread = db.prepare('SELECT COUNT(*) as count FROM notifications WHERE agent_id = ? AND read_at IS NULL')
+    .get(req.agent.id);
+
+  res.json({
+    notifications: notifications.map(serializeNotification),
+    unread_count: unread.count,
+    total: total.count,
+    limit,
+    offset
+  });
+});
+
+/**
+ * POST /api/v1/agents/me/notifications/read
+ * Mark notifications as read. body: { ids: [...] } or { all: true }
+ */
+router.post('/me/notifications/read', requireAgent, requireScope('agents:write'), (req, res) => {
+  const { ids, all } = req.body;
+  const now = Date.now();
+
+  let result;
+  if (all === true) {
+    result = db.prepare('UPDATE notifications SET read_at = ? WHERE agent_id = ? AND read_at IS NULL')
+      .run(now, req.agent.id);
+  } else if (Array.isArray(ids) && ids.length > 0 && ids.length <= 200 && ids.every(id => typeof id === 'string')) {
+    result = db.prepare(`
+      UPDATE notifications SET read_at = ?
+      WHERE agent_id = ? AND read_at IS NULL AND id IN (${ids.map(() => '?').join(', ')})
+    `).run(now, req.agent.id, ...ids);
+  } else {
+    return res.status(400).json({ error: 'Provide ids (array of up to 200 notification ids) or all: true' });
+  }
+
+  const unread = db.prepare('SELECT COUNT(*) as count FROM notifications WHERE agent_id = ? AND read_at IS NULL')
+    .get(req.agent.id);
+  res.json({ success: true, marked_read: result.changes, unread_count: unread.count });
+});
+
+/**
+ * GET /api/v1/agents/me/export
+ * Everything stored about the current agent, as JSON
+ */
+router.get('/me/export', requireAgent, requireScope('read'), (req, res) => {
+  const agent = db.prepare(`
+    SELECT id, name, description, personality, interests, avatar_url, points, is_verified, verified_at, verified_by,
+           deleted_count, banned_until, created_at
+    FROM agents WHERE id = ?
+  `).get(req.agent.id);
+  try { agent.interests = JSON.parse(agent.interests || '[]'); } catch (e) { agent.interests = []; }
+  agent.model_card = serializeModelCard(req.agent);
+
+  const apiKeys = db.prepare(
+    'SELECT id, name, key_prefix, scopes, created_at, last_used_at FROM api_keys WHERE agent_id = ? ORDER BY created_at ASC'
+  ).all(req.agent.id);
+  apiKeys.forEach(k => { k.scopes = JSON.parse(k.scopes || '[]'); });
+
+  const messages = db.prepare(`
+    SELECT m.id, m.debate_id, d.topic as debate_topic, m.content, m.created_at,
+           m.upvotes, m.downvotes, m.reports, m.is_deleted
+    FROM messages m
+    LEFT JOIN debates d ON m.debate_id = d.id
+    WHERE m.agent_id = ?
+    ORDER BY m.created_at ASC
+  `).all(req.agent.id);
+
+  const votes = db.prepare(`
+    SELECT v.id, v.debate_id, d.topic as debate_topic, v.option_text, v.created_at
+    FROM vote_records v
+    LEFT JOIN debates d ON v.debate_id = d.id
+    WHERE v.agent_id = ?
+    ORDER BY v.created_at ASC
+  `).all(req.agent.id);
+
+  const reactions = db.prepare(`
+    SELECT id, message_id, reaction_type, created_at
+    FROM message_reactions
+    WHERE agent_id = ?
+    ORDER BY created_at ASC
+  `).all(req.agent.id);
+
+  const pointsHistory = db.prepare(`
+    SELECT id, amount, requested_amount, reason, debate_id, message_id, balance_after, created_at
+    FROM points_ledger
+    WHERE agent_id = ?
+    ORDER BY created_at ASC, rowid ASC
+  `).all(req.agent.id);
+
+  res.set('Content-Disposition', `attachment; filename="agora-export-${agent.name}.json"`);
+  res.json({
+    exported_at: Date.now(),
+    profile: agent,
+    api_keys: apiKeys,
+    messages,
+    votes,
+    reactions,
+    points_history: pointsHistory,
+    badges: getAgentBadges(req.agent.id)
+  });
+});
+
+/**
+ * DELETE /api/v1/agents/me
+ * Leave the platform. body: { confirm: "<agent name>", mode: "anonymize" | "delete" }
+ * - anonymize: messages/votes stay under a tombstone name, profile and keys are wiped
+ * - delete: messages, votes and reactions are removed and the agent row is deleted
+ */
+router.delete('/me', requireAgent, requireScope('agents:write'), (req, res) => {
+  const { confirm, mode } = req.body;
+
+  if (!['anonymize', 'delete'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be "anonymize" or "delete"' });
+  }
+  if (confirm !== req.agent.name) {
+    return res.status(400).json({ error: 'Set "confirm" to your agent name to delete this agent' });
+  }
+
+  const agentId = req.agent.id;
+  const affectedDebates = new Set();
+  const affectedVoteDebates = new Set();
+  // '#' 은 등록 가능한 이름에 쓸 수 없으므로 실제 에이전트와 겹치지 않는다
+  const tombstoneName = `deleted#${agentId.slice(0, 8)}`;
+
+  db.transaction(() => {
+    db.prepare('SELECT DISTINCT debate_id FROM messages WHERE agent_id = ?').all(agentId)
+      .forEach(r => affectedDebates.add(r.debate_id));
+
+    db.prepare('DELETE FROM api_keys WHERE agent_id = ?').run(agentId);
+    db.prepare('DELETE FROM agent_claims WHERE agent_id = ?').run(agentId);
+    db.prepare('DELETE FROM agent_name_history WHERE agent_id = ?').run(agentId);
+    db.prepare("DELETE FROM follows WHERE agent_id = ? OR (follower_type = 'agent' AND follower_id = ?)")
+      .run(agentId, agentId);
+    db.prepare('DELETE FROM notifications WHERE agent_id = ?').run(agentId);
+    // 두 방식 모두 만든 토론에 실명이 남지 않게 한다
+    db.prepare('UPDATE debates SET creator_name = ? WHERE creator_agent_id = ?').run(tombstoneName, agentId);
+
+    if (mode === 'anonymize') {
+      db.prepare('UPDATE messages SET agent_name = ? WHERE agent_id = ?').run(tombstoneName, agentId);
+      db.prepare(`
+        UPDATE agents SET
+          name = ?, description = '', personality = '', interests = '[]', avatar_url = NULL, claim_code = NULL,
+          model_family = NULL, operator_name = NULL, homepage_url = NULL, source_repo_url = NULL,
+          languages = NULL, autonomy_level = NULL,
+          operator_id = NULL, verified_by = NULL, deactivated_at = ?, deleted_at = ?
+        WHERE id = ?
+      `).run(tombstoneName, Date.now(), Date.now(), agentId);
+      return;
+    }
+
+    // mode === 'delete'
+    removeReactionsGiven(agentId, affectedDebates);
+
+    const ownMessages = db.prepare('SELECT id FROM messages WHERE agent_id = ?').all(agentId);
+    ownMessages.forEach(m => {
+      db.prepare('DELETE FROM message_reactions WHERE message_id = ?').run(m.id);
+    });
+    // 다른 에이전트의 답글이 사라진 메시지를 가리키지 않게 한다
+    db.prepare('UPDATE messages SET reply_to = NULL WHERE reply_to IN (SELECT id FROM messages WHERE agent_id = ?)')
+      .run(agentId);
+    // 메시지를 가리키는 언급(FK)과 알림을 먼저 지운다
+    db.prepare('DELETE FROM mentions WHERE message_id IN (SELECT id FROM messages WHERE agent_id = ?)').run(agentId);
+    db.prepare('DELETE FROM notifications WHERE message_id IN (SELECT id FROM messages WHERE agent_id = ?)').run(agentId);
+    db.prepare('DELETE FROM messages WHERE agent_id = ?').run(agentId);
+
+    db.prepare('SELECT DISTINCT debate_id FROM vote_records WHERE agent_id = ?').all(agentId)
+      .forEach(r => affectedVoteDebates.add(r.debate_id));
+    db.prepare('DELETE FROM vote_records WHERE agent_id = ?').run(agentId);
+    db.prepare('DELETE FROM points_ledger WHERE agent_id = ?').run(agentId);
+    db.prepare('DELETE FROM season_results WHERE agent_id = ?').run(agentId);
+    db.prepare('DELETE FROM agent_badges WHERE agent_id = ?').run(agentId);
+    db.prepare('DELETE FROM mentions WHERE agent_id = ? OR mentioned_by = ?').run(agentId, agentId);
+    db.prepare('DELETE FROM notifications WHERE actor_agent_id = ?').run(agentId);
+    db.prepare('UPDATE debates SET creator_agent_id = NULL WHERE creator_agent_id = ?').run(agentId);
+
+    db.prepare('DELETE FROM agents WHERE id = ?').run(agentId);
+
+    // denormalized 카운터(message_count, bot_count, upvotes, votes) 재계산
+    affectedDebates.forEach(debateId => updateDebateActivity(debateId));
+    affectedVoteDebates.forEach(debateId => recountVoteDebate(debateId));
+  });
+  // 다른 에이전트가 받은 추천 수도 바뀌었을 수 있다
+  invalidateAgentStats();
+  invalidateReputation();
+
+  res.json({
+    success: true,
+    message: mode === 'anonymize'
+      ? `Agent deleted. Messages remain as "${tombstoneName}".`
+      : 'Agent and all of its messages, votes and reactions were deleted.'
+  });
+});
+
+/**
+ * GET /api/v1/agents/me/keys
+ * List API keys of the current agent (keys themselves are never shown again)
+ */
+router.get('/me/keys', requireAgent, requireScope('read'), (req, res) => {
+  const keys = db.prepare(
+    'SELECT * FROM api_keys WHERE agent_id = ? ORDER BY created_at ASC'
+  ).all(req.agent.id);
+
+  res.json({ keys: keys.map(k => serializeKey(k, req.apiKey.id)) });
+});
+
+/**
+ * POST /api/v1/agents/me/keys
+ * Issue an additional named API key
+ */
+router.post('/me/keys', requireAgent, requireScope('agents:write'), (req, res) => {
+  const nameError = validateKeyName(req.body.name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+
+  const scopeCheck = validateScopes(req.body.scopes, req.apiKey.scopes);
+  if (scopeCheck.error) {
+    return res.status(400).json({ error: scopeCheck.error, valid_scopes: scopeCheck.valid_scopes });
+  }
+
+  const count = db.prepare('SELECT COUNT(*) as count FROM api_keys WHERE agent_id = ?').get(req.agent.id);
+  if (count.count >= MAX_KEYS_PER_AGENT) {
+    return res.status(400).json({ error: `An agent can have at most ${MAX_KEYS_PER_AGENT} API keys` });
+  }
+
+  try {
+    const key = createApiKey(req.agent.id, req.body.name.trim(), { scopes: scopeCheck.scopes });
+    res.status(201).json({
+      success: true,
+      key: { id: key.id, name: key.name, api_key: key.api_key, scopes: key.scopes, created_at: key.created_at },
+      important: 'Save your API key! It cannot be recovered.'
+    });
+  } catch (err) {
+    if (err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'A key with this name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+/**
+ * POST /api/v1/agents/me/keys/:keyId/rotate
+ * Replace a key with a fresh one under the same name (old key stops working immediately)
+ */
+router.post('/me/keys/:keyId/rotate', requireAgent, requireScope('agents:write'), (req, res) => {
+  const key = db.prepare('SELECT * FROM api_keys WHERE id = ? AND agent_id = ?').get(req.params.keyId, req.agent.id);
+  if (!key) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  if (exceedsScopes(key, req.apiKey.scopes)) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: 'Cannot rotate a key that has scopes this key does not have'
+    });
+  }
+
+  const newKey = rotateApiKey(key.id);
+
+  res.json({
+    success: true,
+    key: { id: key.id, name: key.name, api_key: newKey },
+    important: 'Save your API key! It cannot be recovered.'
+  });
+});
+
+/**
+ * DELETE /api/v1/agents/me/keys/:keyId
+ * Revoke a key (other keys keep working)
+ */
+router.delete('/me/keys/:keyId', requireAgent, requireScope('agents:write'), (req, res) => {
+  const key = db.prepare('SELECT id, scopes FROM api_keys WHERE id = ? AND agent_id = ?').get(req.params.keyId, req.agent.id);
+  if (!key) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  if (exceedsScopes(key, req.apiKey.scopes)) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: 'Cannot revoke a key that has scopes this key does not have'
+    });
+  }
+
+  const count = db.prepare('SELECT COUNT(*) as count FROM api_keys WHERE agent_id = ?').get(req.agent.id);
+  if (count.count <= 1) {
+    return res.status(400).json({ error: 'Cannot revoke the last API key. Create a new key first.' });
+  }
+
+  db.prepare('DELETE FROM api_keys WHERE id = ?').run(key.id);
+  res.json({ success: true, message: 'API key revoked' });
+});
+
+// ─── Claim / verification ───
+// 1) 로그인한 운영자가 에이전트에게 받은 claim_code 로 POST /claim → challenge 발급
+// 2) 에이전트가 자신의 API 키로 POST /me/verify 에 challenge 제출 → is_verified + 운영자 소유
+// 운영자 세션, claim_code, API 키를 모두 갖춰야 인증이 끝난다 (verified_by 는 운영자 계정 이름).
+// 운영자 계정이 없으면 관리자 확인(POST /admin/agents/:id/verify)으로만 인증된다.
+const CLAIM_TTL = 60 * 60 * 1000; // challenge 유효시간 1시간
+
+/**
+ * POST /api/v1/agents/claim
+ * Logged-in operator claims an agent with its claim_code → returns a challenge for the agent to confirm
+ */
+router.post('/claim', requireOperator, attemptLimitMiddleware('claim'), (req, res) => {
+  const { claim_code } = req.body;
+
+  if (!claim_code || typeof claim_code !== 'string') {
+    return res.status(400).json({ error: 'claim_code is required' });
+  }
+
+  const agent = db.prepare(
+    'SELECT id, name, is_verified, operator_id FROM agents WHERE claim_code = ?'
+  ).get(claim_code.trim());
+  if (!agent) {
+    return res.status(404).json({ error: 'Invalid claim code' });
+  }
+  if (agent.is_verified) {
+    return res.status(409).json({ error: 'Agent is already verified' });
+  }
+  if (agent.operator_id && agent.operator_id !== req.operator.id) {
+    return res.status(409).json({ error: 'Agent is owned by another operator' });
+  }
+
+  const operatorName = req.operator.display_name || req.operator.username;
+
+  const id = uuidv4();
+  const now = Date.now();
+  const challenge = `verify-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+  db.prepare(`
+    INSERT INTO agent_claims (id, agent_id, operator_name, operator_id, challenge, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, agent.id, operatorName, req.operator.id, challenge, now, now + CLAIM_TTL);
+
+  res.status(201).json({
+    success: true,
+    claim: {
+      id,
+      agent: { id: agent.id, name: agent.name },
+      challenge,
+      expires_at: now + CLAIM_TTL
+    },
+    next_step: 'Have the agent call POST /api/v1/agents/me/verify with {"challenge": "..."} using its API key.'
+  });
+});
+
+/**
+ * POST /api/v1/agents/me/verify
+ * Agent confirms a pending claim by echoing the challenge → agent becomes verified
+ */
+router.post('/me/verify', requireAgent, requireScope('agents:write'), (req, res) => {
+  const { challenge } = req.body;
+
+  if (!challenge) {
+    return res.status(400).json({ error: 'challenge is required' });
+  }
+  if (req.agent.is_verified) {
+    return res.status(409).json({ error: 'Agent is already verified' });
+  }
+
+  // 운영자 계정 없이 만들어진 예전 claim 은 인정하지 않는다
+  const claim = db.prepare(`
+    SELECT * FROM agent_claims
+    WHERE agent_id = ? AND challenge = ? AND confirmed_at IS NULL AND operator_id IS NOT NULL
+  `).get(req.agent.id, String(challenge).trim());
+
+  if (!claim) {
+    return res.status(404).json({ error: 'No pending claim with this challenge' });
+  }
+  if (claim.expires_at < Date.now()) {
+    return res.status(410).json({ error: 'Challenge expired. Ask the operator to claim again.' });
+  }
+  if (req.agent.operator_id && req.agent.operator_id !== claim.operator_id) {
+    return res.status(409).json({ error: 'Agent is owned by another operator' });
+  }
+
+  const now = Date.now();
+  db.prepare('UPDATE agent_claims SET confirmed_at = ? WHERE id = ?').run(now, claim.id);
+  // claim_code 는 1회용
+  db.prepare(`
+    UPDATE agents SET is_verified = 1, verified_at = ?, verified_by = ?, claim_code = NULL,
+      operator_id = COALESCE(operator_id, ?)
+    WHERE id = ?
+  `).run(now, claim.operator_name, claim.operator_id, req.agent.id);
+
+  res.json({
+    success: true,
+    message: 'Agent verified! ✅',
+    verified_at: now,
+    verified_by: claim.operator_name
+  });
+});
+
+// 리더보드 기간 (rolling window)
+const LEADERBOARD_WINDOWS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+const LEADERBOARD_RANKINGS = ['points', 'reputation'];
+
+// window / category / rank_by 쿼리 검증 → { window, category, modelFamily, rankBy } 또는 { error }
+function parseLeaderboardQuery(query) {
+  const rankBy = query.rank_by || 'points';
+  if (!LEADERBOARD_RANKINGS.includes(rankBy)) {
+    return { error: 'Invalid rank_by', valid_rankings: LEADERBOARD_RANKINGS };
+  }
+  const window = query.window || 'all';
+  if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_WINDOWS, window)) {
+    return { error: 'Invalid window', valid_windows: Object.keys(LEADERBOARD_WINDOWS) };
+  }
+  const category = query.category || null;
+  if (category && !CATEGORIES[category]) {
+    return { error: 'Invalid category', valid_categories: Object.keys(CATEGORIES) };
+  }
+  let modelFamily = null;
+  if (query.model_family) {
+    modelFamily = normalizeModelFamily(query.model_family);
+    if (!modelFamily) return { error: 'Invalid model_family' };
+  }
+  // 평판은 기간/카테고리 구분이 없다
+  if (rankBy === 'reputation' && (window !== 'all' || category)) {
+    return { error: 'rank_by=reputation cannot be combined with window or category' };
+  }
+  return { window, category, modelFamily, rankBy };
+}
+
+// 순위 대상 에이전트 조건 (비활성 제외, model_family 필터)
+function leaderboardAgentFilter({ modelFamily }) {
+  if (modelFamily) {
+    return { sql: 'a.deactivated_at IS NULL AND a.model_family = ?', params: [modelFamily] };
+  }
+  return { sql: 'a.deactivated_at IS NULL', params: [] };
+}
+
+// 에이전트별 점수 subquery (agent_id, score).
+// 전체 기간은 agents.points, 그 외에는 points_ledger 이벤트 합계
+// (카테고리 지정 시 해당 카테고리 토론에서 얻은 포인트만)
+function leaderboardScores({ window, category, rankBy }) {
+  if (rankBy === 'reputation') {
+    return {
+      sql: "SELECT json_extract(value, '$.agent_id') as agent_id, json_extract(value, '$.score') as score FROM json_each(?)",
+      params: [JSON.stringify(rankByReputation())]
+    };
+  }
+  if (window === 'all' && !category) {
+    return { sql: 'SELECT id as agent_id, points as score FROM agents', params: [] };
+  }
+
+  const where = [];
+  const params = [];
+  let join = '';
+  if (category) {
+    join = 'JOIN debates d ON d.id = l.debate_id';
+    where.push('d.category = ?');
+    params.push(category);
+  }
+  if (LEADERBOARD_WINDOWS[window]) {
+    // 원장 도입 전 잔액을 옮긴 opening_balance 는 기간 내 획득 점수가 아니다 (seasons.js 와 동일)
+    where.push("l.created_at >= ? AND l.reason != 'opening_balance'");
+    params.push(Date.now() - LEADERBOARD_WINDOWS[window]);
+  }
+
+  return {
+    sql: `
+      SELECT l.agent_id, SUM(l.amount) as score
+      FROM points_ledger l ${join}
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      GROUP BY l.agent_id
+      HAVING SUM(l.amount) > 0`,
+    params
+  };
+}
+
 /**
  * GET /api/v1/agents/leaderboard
- * Top agents by points
+ * Top agents by points or reputation. query: rank_by (points|reputation), window (day|week|month|all), category, model_family, limit
+ * score = points earned in the window/category (lifetime points when window=all without category),
+ *         or the reputation score when rank_by=reputation
  */
 router.get('/leaderboard', (req, res) => {
+  const parsed = parseLeaderboardQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json(parsed);
+  }
+
   const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const scores = leaderboardScores(parsed);
+  const filter = leaderboardAgentFilter(parsed);
   const agents = db.prepare(`
-    SELECT id, name, description, personality, points, is_verified, created_at
-    FROM agents
-    ORDER BY points DESC
+    SELECT a.id, a.name, a.description, a.personality, a.avatar_url, a.model_family, a.points, a.is_verified,
+           a.created_at, s.score
+    FROM (${scores.sql}) s
+    JOIN agents a ON a.id = s.agent_id
+    WHERE ${filter.sql}
+    ORDER BY s.score DESC, a.created_at ASC
+    LIMIT ?
+  `).all(...scores.params, ...filter.params, limit);
+
+  // 동점은 같은 순위 (1, 2, 2, 4 ...)
+  const badges = getBadgeSummaries(agents.map(a => a.id));
+  agents.forEach((agent, i) => {
+    agent.rank = i > 0 && agent.score === agents[i - 1].score ? agents[i - 1].rank : i + 1;
+    agent.reputation = getReputation(agent.id).score;
+    agent.badges = badges.get(agent.id);
+  });
+
+  res.json({
+    rank_by: parsed.rankBy, window: parsed.window, category: parsed.category, model_family: parsed.modelFamily, agents
+  });
+});
+
+/**
+ * GET /api/v1/agents/me/rank
+ * Your rank on the leaderboard. query: rank_by, window, category, model_family
+ */
+router.get('/me/rank', requireAgent, requireScope('read'), (req, res) => {
+  const parsed = parseLeaderboardQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json(parsed);
+  }
+
+  const scores = leaderboardScores(parsed);
+  const filter = leaderboardAgentFilter(parsed);
+  const params = [...scores.params, ...filter.params];
+  const ranked = `
+    SELECT s.agent_id, s.score FROM (${scores.sql}) s
+    JOIN agents a ON a.id = s.agent_id
+    WHERE ${filter.sql}`;
+
+  const own = db.prepare(`SELECT score FROM (${ranked}) WHERE agent_id = ?`)
+    .get(...params, req.agent.id);
+  const total = db.prepare(`SELECT COUNT(*) as count FROM (${ranked})`).get(...params);
+
+  let rank = null;
+  if (own) {
+    const ahead = db.prepare(`SELECT COUNT(*) as count FROM (${ranked}) WHERE score > ?`)
+      .get(...params, own.score);
+    rank = ahead.count + 1;
+  }
+
+  res.json({
+    rank_by: parsed.rankBy,
+    window: parsed.window,
+    category: parsed.category,
+    model_family: parsed.modelFamily,
+    rank,
+    score: own ? own.score : 0,
+    total_ranked: total.count
+  });
+});
+
+function getPublicProfile(agentId) {
+  const row = db.prepare('SELECT * FROM agents WHERE id = ?').get(agentId);
+  if (!row) return null;
+
+  const agent = {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    personality: row.personality,
+    interests: row.interests,
+    avatar_url: row.avatar_url,
+    model_card: serializeModelCard(row),
+    points: row.points,
+    is_verified: row.is_verified,
+    verified_at: row.verified_at,
+    verified_by: row.verified_by,
+    created_at: row.created_at
+  };
+  try { agent.interests = typeof agent.interests === 'string' ? JSON.parse(agent.interests) : (agent.interests || []); } catch (e) { agent.interests = []; }
+  agent.former_names = db.prepare(
+    'SELECT old_name as name, renamed_at FROM agent_name_history WHERE agent_id = ? ORDER BY renamed_at DESC'
+  ).all(agentId);
+  agent.follower_count = db.prepare('SELECT COUNT(*) as count FROM follows WHERE agent_id = ?').get(agentId).count;
+  agent.stats = getAgentStats(agentId);
+  agent.reputation = getReputation(agentId);
+  agent.badges = getBadgeSummaries([agentId]).get(agentId);
+  return agent;
+}
+
+/**
+ * GET /api/v1/agents/model-families
+ * Model families declared in model cards, with agent counts (for filters)
+ */
+router.get('/model-families', (req, res) => {
+  const families = db.prepare(`
+    SELECT model_family, COUNT(*) as agent_count FROM agents
+    WHERE model_family IS NOT NULL AND deactivated_at IS NULL
+    GROUP BY model_family
+    ORDER BY agent_count DESC, model_family ASC
+  `).all();
+  res.json({ families });
+});
+
+/**
+ * GET /api/v1/agents/name-check?name=
+ * Pre-validate a name (same rules as register/rename)
+ */
+router.get('/name-check', (req, res) => {
+  const name = typeof req.query.name === 'string' ? req.query.name.trim() : '';
+  if (!name) {
+    return res.status(400).json({ error: 'name query parameter is required' });
+  }
+
+  const validation = validateNickname(name);
+  res.json({
+    name,
+    available: validation.valid,
+    reason: validation.valid ? undefined : validation.message
+  });
+});
+
+/**
+ * GET /api/v1/agents/by-name/:name
+ * Public profile by current or former name (former names resolve to the current profile)
+ */
+router.get('/by-name/:name', (req, res) => {
+  const lowerName = req.params.name.toLowerCase().trim();
+
+  const current = db.prepare('SELECT id FROM agents WHERE LOWER(name) = ?').get(lowerName);
+  if (current) {
+    return res.json(getPublicProfile(current.id));
+  }
+
+  const former = db.prepare(`
+    SELECT agent_id, old_name FROM agent_name_history
+    WHERE LOWER(old_name) = ?
+    ORDER BY renamed_at DESC LIMIT 1
+  `).get(lowerName);
+  const agent = former && getPublicProfile(former.agent_id);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  res.json({ ...agent, resolved_from: former.old_name });
+});
+
+const ACTIVITY_TYPES = ['message', 'vote', 'reaction', 'bonus'];
+
+// 활동 종류별 SELECT (모두 같은 컬럼: type, id, created_at, debate_id, message_id, detail, amount)
+const ACTIVITY_SOURCES = {
+  message: `
+    SELECT 'message' as type, id, created_at, debate_id, id as message_id, content as detail, NULL as amount
+    FROM messages WHERE agent_id = ? AND is_deleted = 0`,
+  vote: `
+    SELECT 'vote' as type, id, created_at, debate_id, NULL as message_id, option_text as detail, NULL as amount
+    FROM vote_records WHERE agent_id = ?`,
+  // 신고는 공개하지 않는다
+  reaction: `
+    SELECT 'reaction' as type, r.id, r.created_at, m.debate_id, r.message_id, r.reaction_type as detail, NULL as amount
+    FROM message_reactions r JOIN messages m ON m.id = r.message_id
+    WHERE r.agent_id = ? AND r.reaction_type IN ('upvote', 'downvote')`,
+  bonus: `
+    SELECT 'bonus' as type, id, created_at, debate_id, message_id, reason as detail, amount
+    FROM points_ledger WHERE agent_id = ? AND reason IN (${BONUS_REASONS.map(r => `'${r}'`).join(', ')})`
+};
+
+// cursor = base64url("created_at:id") of the last item on the previous page
+function encodeActivityCursor(item) {
+  return Buffer.from(`${item.created_at}:${item.id}`).toString('base64url');
+}
+
+function decodeActivityCursor(cursor) {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  const ts = parseInt(createdAt);
+  if (!Number.isFinite(ts) || !id) return null;
+  return { created_at: ts, id };
+}
+
+function serializeActivity(row) {
+  const item = {
+    type: row.type,
+    id: row.id,
+    created_at: row.created_at,
+    debate: row.debate_id
+      ? { id: row.debate_id, topic: row.debate_topic, category: row.debate_category, type: row.debate_type }
+      : null
+  };
+  if (row.type === 'message') {
+    item.content = row.detail;
+  } else if (row.type === 'vote') {
+    item.option = row.detail;
+  } else if (row.type === 'reaction') {
+    item.reaction_type = row.detail;
+    item.message_id = row.message_id;
+  } else if (row.type === 'bonus') {
+    item.bonus_type = row.detail;
+    item.points = row.amount;
+    item.message_id = row.message_id || undefined;
+  }
+  return item;
+}
+
+/**
+ * GET /api/v1/agents/:id/activity
+ * Reverse-chronological activity feed (messages, votes, reactions given, bonuses)
+ * query: type (comma-separated), limit, cursor
+ */
+router.get('/:id/activity', (req, res) => {
+  const agent = db.prepare('SELECT id FROM agents WHERE id = ?').get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const types = req.query.type
+    ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean)
+    : ACTIVITY_TYPES;
+  const invalid = types.filter(t => !ACTIVITY_TYPES.includes(t));
+  if (invalid.length > 0 || types.length === 0) {
+    return res.status(400).json({ error: 'Invalid activity type', valid_types: ACTIVITY_TYPES });
+  }
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeActivityCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const uniqueTypes = [...new Set(types)];
+  const params = uniqueTypes.map(() => agent.id);
+  let cursorClause = '';
+  if (cursor) {
+    cursorClause = 'WHERE act.created_at < ? OR (act.created_at = ? AND act.id < ?)';
+    params.push(cursor.created_at, cursor.created_at, cursor.id);
+  }
+
+  // limit + 1 개를 읽어 다음 페이지 존재 여부를 판단
+  const rows = db.prepare(`
+    SELECT act.*, d.topic as debate_topic, d.category as debate_category, d.type as debate_type
+    FROM (${uniqueTypes.map(t => ACTIVITY_SOURCES[t]).join(' UNION ALL ')}) act
+    LEFT JOIN debates d ON d.id = act.debate_id
+    ${cursorClause}
+    ORDER BY act.created_at DESC, act.id DESC
     LIMIT ?
-  `).all(limit);
+  `).all(...params, limit + 1);
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+
+  res.json({
+    items: items.map(serializeActivity),
+    next_cursor: hasMore ? encodeActivityCursor(items[items.length - 1]) : null
+  });
+});
+
+// ─── Follows ───
+// 팔로우 주체: API 키를 보낸 에이전트, 또는 로그인한 운영자(인간 관찰자)
+const MAX_LOCAL_FOLLOWS = 50;
+
+// → { type, id } | null (응답을 이미 보냈으면 false)
+function resolveFollower(req, res, scope) {
+  if (req.headers.authorization && !req.agent) {
+    res.status(401).json({ error: 'Invalid API key' });
+    return false;
+  }
+  if (req.agent) {
+    if (!req.apiKey.scopes.includes(scope)) {
+      res.status(403).json({
+        error: 'Insufficient scope',
+        message: `This API key does not have the "${scope}" scope`,
+        required_scope: scope
+      });
+      return false;
+    }
+    return { type: 'agent', id: req.agent.id };
+  }
+  if (req.operator) {
+    return { type: 'operator', id: req.operator.id };
+  }
+  return null;
+}
+
+function followedAgentIds(follower) {
+  return db.prepare(
+    'SELECT agent_id FROM follows WHERE follower_type = ? AND follower_id = ? ORDER BY created_at DESC'
+  ).all(follower.type, follower.id).map(f => f.agent_id);
+}
+
+/**
+ * POST /api/v1/agents/:id/follow
+ * Follow an agent (as an agent with an API key, or as a logged-in operator)
+ */
+router.post('/:id/follow', optionalAgent, optionalOperator, (req, res) => {
+  const follower = resolveFollower(req, res, 'agents:write');
+  if (follower === false) return;
+  if (!follower) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Use an agent API key or log in as an operator'
+    });
+  }
+
+  const target = db.prepare('SELECT id, name FROM agents WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
+  if (!target) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+  if (follower.type === 'agent' && follower.id === target.id) {
+    return res.status(400).json({ error: 'Cannot follow yourself' });
+  }
+
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO follows (id, follower_type, follower_id, agent_id, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(uuidv4(), follower.type, follower.id, target.id, Date.now());
+
+  res.status(result.changes ? 201 : 200).json({
+    success: true,
+    following: { id: target.id, name: target.name },
+    already_following: !result.changes
+  });
+});
+
+/**
+ * DELETE /api/v1/agents/:id/follow
+ */
+router.delete('/:id/follow', optionalAgent, optionalOperator, (req, res) => {
+  const follower = resolveFollower(req, res, 'agents:write');
+  if (follower === false) return;
+  if (!follower) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Use an agent API key or log in as an operator'
+    });
+  }
+
+  const result = db.prepare(
+    'DELETE FROM follows WHERE follower_type = ? AND follower_id = ? AND agent_id = ?'
+  ).run(follower.type, follower.id, req.params.id);
+  if (!result.changes) {
+    return res.status(404).json({ error: 'Not following this agent' });
+  }
+
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/v1/agents/me/following
+ * Agents you follow (agent API key or operator session)
+ */
+router.get('/me/following', optionalAgent, optionalOperator, (req, res) => {
+  const follower = resolveFollower(req, res, 'read');
+  if (follower === false) return;
+  if (!follower) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Use an agent API key or log in as an operator'
+    });
+  }
+
+  const agents = db.prepare(`
+    SELECT a.id, a.name, a.description, a.personality, a.avatar_url, a.points, a.is_verified, f.created_at as followed_at
+    FROM follows f
+    JOIN agents a ON a.id = f.agent_id
+    WHERE f.follower_type = ? AND f.follower_id = ?
+    ORDER BY f.created_at DESC
+  `).all(follower.type, follower.id);
 
   res.json({ agents });
 });
 
+/**
+ * GET /api/v1/agents/me/feed
+ * Recent messages and new debates from followed agents, newest first.
+ * Observers without an account can pass the ids they follow locally: ?agents=id1,id2
+ * query: agents, limit, cursor
+ */
+router.get('/me/feed', optionalAgent, optionalOperator, (req, res) => {
+  const follower = resolveFollower(req, res, 'read');
+  if (follower === false) return;
+
+  let agentIds;
+  if (follower) {
+    agentIds = followedAgentIds(follower);
+  } else if (req.query.agents) {
+    agentIds = [...new Set(String(req.query.agents).split(',').map(id => id.trim()).filter(Boolean))]
+      .slice(0, MAX_LOCAL_FOLLOWS);
+  } else {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Use an agent API key, log in as an operator, or pass ?agents=id1,id2'
+    });
+  }
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeActivityCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+  }
+
+  if (agentIds.length === 0) {
+    return res.json({ items: [], next_cursor: null });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const placeholders = agentIds.map(() => '?').join(', ');
+  const params = [...agentIds, ...agentIds];
+  let cursorClause = '';
+  if (cursor) {
+    cursorClause = 'WHERE f.created_at < ? OR (f.created_at = ? AND f.id < ?)';
+    params.push(cursor.created_at, cursor.created_at, cursor.id);
+  }
+
+  const rows = db.prepare(`
+    SELECT f.*, d.topic as debate_topic, d.category as debate_category, d.type as debate_type
+    FROM (
+      SELECT 'message' as type, id, created_at, debate_id, agent_id, content
+      FROM messages WHERE is_deleted = 0 AND agent_id IN (${placeholders})
+      UNION ALL
+      SELECT 'debate' as type, id, created_at, id as debate_id, creator_agent_id as agent_id, NULL as content
+      FROM debates WHERE creator_agent_id IN (${placeholders})
+    ) f
+    LEFT JOIN debates d ON d.id = f.debate_id
+    ${cursorClause}
+    ORDER BY f.created_at DESC, f.id DESC
+    LIMIT ?
+  `).all(...params, limit + 1);
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  const names = new Map(db.prepare(`SELECT id, name, is_verified FROM agents WHERE id IN (${placeholders})`)
+    .all(...agentIds).map(a => [a.id, a]));
+
+  res.json({
+    items: items.map(row => ({
+      type: row.type,
+      id: row.id,
+      created_at: row.created_at,
+      agent: names.get(row.agent_id) || { id: row.agent_id },
+      debate: { id: row.debate_id, topic: row.debate_topic, category: row.debate_category, type: row.debate_type },
+      content: row.content || undefined
+    })),
+    next_cursor: hasMore ? encodeActivityCursor(items[items.length - 1]) : null
+  });
+});
+
+/**
+ * GET /api/v1/agents/:id/badges
+ * Achievement badges (highest tier per badge, with progress to the next tier)
+ */
+router.get('/:id/badges', (req, res) => {
+  const agent = db.prepare('SELECT id, name FROM agents WHERE id = ?').get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  res.json({ agent_id: agent.id, agent_name: agent.name, badges: getAgentBadges(agent.id) });
+});
+
+/**
+ * GET /api/v1/agents/:id/avatar.svg
+ * Default avatar: deterministic identicon generated from the agent id (ETag cached)
+ */
+router.get('/:id/avatar.svg', (req, res) => {
+  const agent = db.prepare('SELECT id FROM agents WHERE id = ?').get(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const etag = identiconEtag(agent.id);
+  res.set({
+    'ETag': etag,
+    'Cache-Control': 'public, max-age=86400'
+  });
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  res.type('image/svg+xml').send(renderIdenticon(agent.id));
+});
+
 /**
  * GET /api/v1/agents/:id
  * Get public agent profile
  */
 router.get('/:id', (req, res) => {
-  const agent = db.prepare(`
-    SELECT id, name, description, personality, interests, points, is_verified, created_at
-    FROM agents WHERE id = ?
-  `).get(req.params.id);
+  const agent = getPublicProfile(req.params.id);
 
   if (!agent) {
     return res.status(404).json({ error: 'Agent not found' });
   }
 
-  try { agent.interests = typeof agent.interests === 'string' ? JSON.parse(agent.interests) : (agent.interests || []); } catch (e) { agent.interests = []; }
   res.json(agent);
 });
 
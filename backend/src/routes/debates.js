@@ -1,7 +1,15 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../database');
-const { requireAgent, optionalAgent } = require('../middleware/auth');
+const { requireAgent, requireScope, optionalAgent } = require('../middleware/auth');
+const { normalizeModelFamily } = require('../utils/modelCard');
+const { getBadgeSummaries } = require('../utils/badges');
+const { DEBATE_FORMATS, DEFAULT_FORMAT, getDebatePhase, formatDuration, listFormats } = require('../utils/debateFormats');
+const { EXTENSION_COST_PER_HOUR, debateStatus, parseSchedule, extendDebate } = require('../utils/debateSchedule');
+const { awardPoints } = require('../utils/points');
+const { OUTCOMES } = require('../utils/debateOutcome');
+const { parseTimestamp } = require('../utils/validation');
+const { REPLY_COLUMNS, REPLY_JOIN, stanceTallies } = require('./messages');
 
 const router = express.Router();
 
@@ -26,7 +34,7 @@ const CATEGORIES = {
  * List debates with optional filters
  */
 router.get('/', (req, res) => {
-  const { category, type, sort, limit: rawLimit, offset: rawOffset, active } = req.query;
+  const { category, type, sort, limit: rawLimit, offset: rawOffset, active, model_family } = req.query;
   const limit = Math.min(parseInt(rawLimit) || 50, 200);
   const offset = parseInt(rawOffset) || 0;
 
@@ -45,6 +53,21 @@ router.get('/', (req, res) => {
     where.push('is_active = ?');
     params.push(active === 'true' ? 1 : 0);
   }
+  // 해당 모델 계열 에이전트가 메시지나 투표로 참여한 토론만
+  if (model_family) {
+    const family = normalizeModelFamily(model_family);
+    if (!family) {
+      return res.status(400).json({ error: 'Invalid model_family' });
+    }
+    where.push(`id IN (
+      SELECT m.debate_id FROM messages m JOIN agents a ON a.id = m.agent_id
+      WHERE a.model_family = ? AND m.is_deleted = 0
+      UNION
+      SELECT v.debate_id FROM vote_records v JOIN agents a ON a.id = v.agent_id
+      WHERE a.model_family = ?
+    )`);
+    params.push(family, family);
+  }
 
   const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
 
@@ -65,6 +88,85 @@ router.get('/', (req, res) => {
   debates.forEach(d => {
     d.vote_options = safeParse(d.vote_options);
     d.votes = safeParse(d.votes);
+    d.status = debateStatus(d);
+    d.phase = getDebatePhase(d);
+  });
+
+  res.json({ debates, total: total.count, limit, offset });
+});
+
+/**
+ * GET /api/v1/debates/formats
+ * Debate formats with their phases and per-agent message limits
+ */
+router.get('/formats', (req, res) => {
+  res.json({ formats: listFormats(), default: DEFAULT_FORMAT });
+});
+
+/**
+ * GET /api/v1/debates/archive
+ * Closed debates. query: category, type, outcome, from, to (closed_at, ms or ISO date), q, sort, limit, offset
+ */
+router.get('/archive', (req, res) => {
+  const { category, type, outcome, from, to, q, sort } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const where = ['is_active = 0'];
+  const params = [];
+
+  if (category) {
+    if (!CATEGORIES[category]) {
+      return res.status(400).json({ error: 'Invalid category', valid_categories: Object.keys(CATEGORIES) });
+    }
+    where.push('category = ?');
+    params.push(category);
+  }
+  if (type) {
+    if (!['debate', 'vote'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be "debate" or "vote"' });
+    }
+    where.push('type = ?');
+    params.push(type);
+  }
+  if (outcome) {
+    if (!OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ error: 'Invalid outcome', valid_outcomes: OUTCOMES });
+    }
+    where.push('outcome = ?');
+    params.push(outcome);
+  }
+  for (const [name, value, op] of [['from', from, '>='], ['to', to, '<']]) {
+    if (value === undefined) continue;
+    const ts = parseTimestamp(value);
+    if (ts === null) {
+      return res.status(400).json({ error: `${name} must be a timestamp (ms) or ISO date` });
+    }
+    where.push(`closed_at ${op} ?`);
+    params.push(ts);
+  }
+  if (q && q.trim()) {
+    where.push('topic LIKE ?');
+    params.push(`%${q.trim()}%`);
+  }
+
+  let orderBy = 'closed_at DESC';
+  if (sort === 'oldest') orderBy = 'closed_at ASC';
+  else if (sort === 'popular') orderBy = 'upvotes DESC, message_count DESC';
+  else if (sort === 'activity') orderBy = 'activity_level DESC, message_count DESC';
+
+  const whereClause = `WHERE ${where.join(' AND ')}`;
+  const debates = db.prepare(`
+    SELECT * FROM debates ${whereClause}
+    ORDER BY ${orderBy}
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+  const total = db.prepare(`SELECT COUNT(*) as count FROM debates ${whereClause}`).get(...params);
+
+  debates.forEach(d => {
+    d.vote_options = safeParse(d.vote_options);
+    d.votes = safeParse(d.votes);
+    d.status = 'ended';
   });
 
   res.json({ debates, total: total.count, limit, offset });
@@ -76,6 +178,16 @@ router.get('/', (req, res) => {
  */
 router.post('/', optionalAgent, (req, res) => {
   const { topic, type, category, vote_options, grid_position, random_position } = req.body;
+  const format = req.body.format || DEFAULT_FORMAT;
+
+  // 에이전트 명의로 만들 때만 scope 확인 (인간은 인증 없이 생성 가능)
+  if (req.agent && !req.apiKey.scopes.includes('debates:write')) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: 'This API key does not have the "debates:write" scope',
+      required_scope: 'debates:write'
+    });
+  }
 
   if (!topic || topic.trim().length < 5) {
     return res.status(400).json({ error: 'Topic must be at least 5 characters' });
@@ -98,6 +210,22 @@ router.post('/', optionalAgent, (req, res) => {
     }
   }
 
+  if (!DEBATE_FORMATS[format]) {
+    return res.status(400).json({ error: 'Invalid format', valid_formats: Object.keys(DEBATE_FORMATS) });
+  }
+  if (type === 'vote' && format !== DEFAULT_FORMAT) {
+    return res.status(400).json({ error: 'Phased formats only apply to text debates' });
+  }
+
+  const schedule = parseSchedule(req.body);
+  if (!schedule.valid) {
+    return res.status(400).json({ error: 'Invalid schedule', message: schedule.message });
+  }
+  // 단계 형식은 마지막 단계가 끝날 때 닫힌다 (duration_hours 는 무시)
+  if (formatDuration(format) > 0) {
+    schedule.ends_at = schedule.start_at + formatDuration(format);
+  }
+
   // Find available grid position (per category)
   const usedPositions = db.prepare(
     'SELECT grid_position FROM debates WHERE is_active = 1 AND category = ? AND grid_position IS NOT NULL',
@@ -143,14 +271,14 @@ router.post('/', optionalAgent, (req, res) => {
   const creatorName = req.agent ? req.agent.name : (req.body.creator_name || 'anonymous');
 
   db.prepare(`
-    INSERT INTO debates (id, topic, type, category, vote_options, votes, activity_level, grid_position, creator_type, creator_name, created_at, is_active, message_count, bot_count, upvotes)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO debates (id, topic, type, category, vote_options, votes, activity_level, grid_position, creator_type, creator_name, creator_agent_id, created_at, is_active, message_count, bot_count, upvotes, format, start_at, ends_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     id, topic.trim(), type, category,
     type === 'vote' ? JSON.stringify(vote_options) : null,
     JSON.stringify(initialVotes),
-    1, gridPos, creatorType, creatorName, now,
-    1, 0, 0, 0
+    1, gridPos, creatorType, creatorName, req.agent ? req.agent.id : null, now,
+    1, 0, 0, 0, format, schedule.start_at, schedule.ends_at
   );
 
   res.status(201).json({
@@ -160,6 +288,11 @@ router.post('/', optionalAgent, (req, res) => {
       id, topic: topic.trim(), type, category,
       grid_position: gridPos,
       vote_options: type === 'vote' ? vote_options : undefined,
+      format,
+      phase: getDebatePhase({ format, start_at: schedule.start_at }, now),
+      start_at: schedule.start_at,
+      ends_at: schedule.ends_at,
+      status: debateStatus({ is_active: 1, ...schedule }, now),
       created_at: now
     }
   });
@@ -181,9 +314,10 @@ router.get('/:id', (req, res) => {
 
   // Get recent messages
   const messages = db.prepare(`
-    SELECT m.*, a.personality, a.is_verified
+    SELECT m.*, a.personality, a.is_verified, a.avatar_url, ${REPLY_COLUMNS}
     FROM messages m
     JOIN agents a ON m.agent_id = a.id
+    ${REPLY_JOIN}
     WHERE m.debate_id = ? AND m.is_deleted = 0
     ORDER BY m.created_at DESC
     LIMIT 100
@@ -191,12 +325,16 @@ router.get('/:id', (req, res) => {
 
   // Get participating agents
   const participants = db.prepare(`
-    SELECT DISTINCT a.id, a.name, a.personality, a.is_verified
+    SELECT DISTINCT a.id, a.name, a.personality, a.is_verified, a.avatar_url
     FROM messages m
     JOIN agents a ON m.agent_id = a.id
     WHERE m.debate_id = ? AND m.is_deleted = 0
   `).all(req.params.id);
 
+  const badges = getBadgeSummaries(participants.map(p => p.id));
+  participants.forEach(p => { p.badges = badges.get(p.id); });
+  messages.forEach(m => { m.agent_badges = badges.get(m.agent_id) || []; });
+
   // Check best debate criteria
   const isBest = debate.upvotes >= 30 && debate.message_count >= 50 && debate.activity_level >= 8;
 
@@ -204,6 +342,9 @@ router.get('/:id', (req, res) => {
     ...debate,
     messages: messages.reverse(),
     participants,
+    stance_tallies: debate.type === 'debate' ? stanceTallies(debate.id) : null,
+    status: debateStatus(debate),
+    phase: getDebatePhase(debate),
     is_best: isBest
   });
 });
@@ -214,11 +355,13 @@ router.get('/:id', (req, res) => {
  */
 router.get('/grid/state', (req, res) => {
   const debates = db.prepare(`
-    SELECT id, topic, type, category, activity_level, bot_count, message_count, upvotes, grid_position, created_at
+    SELECT id, topic, type, category, activity_level, bot_count, message_count, upvotes, grid_position, created_at,
+           is_active, start_at, ends_at
     FROM debates
     WHERE is_active = 1
     ORDER BY activity_level DESC
   `).all();
+  debates.forEach(d => { d.status = debateStatus(d); });
 
   const gridSize = parseInt(process.env.DEFAULT_GRID_SIZE) || 400;
 
@@ -227,10 +370,10 @@ router.get('/grid/state', (req, res) => {
 
 /**
  * GET /api/v1/debates/search
- * Search debates by keyword
+ * Search debates by keyword (include_archived=true to search closed debates too)
  */
 router.get('/search/query', (req, res) => {
-  const { q, limit: rawLimit } = req.query;
+  const { q, limit: rawLimit, include_archived } = req.query;
   if (!q || q.trim().length < 2) {
     return res.status(400).json({ error: 'Search query must be at least 2 characters' });
   }
@@ -240,17 +383,49 @@ router.get('/search/query', (req, res) => {
 
   const results = db.prepare(`
     SELECT * FROM debates
-    WHERE topic LIKE ? AND is_active = 1
-    ORDER BY activity_level DESC
+    WHERE topic LIKE ? ${include_archived === 'true' ? '' : 'AND is_active = 1'}
+    ORDER BY is_active DESC, activity_level DESC
     LIMIT ?
   `).all(searchTerm, limit);
 
   results.forEach(d => {
     d.vote_options = safeParse(d.vote_options);
     d.votes = safeParse(d.votes);
+    d.status = debateStatus(d);
   });
 
   res.json({ results, query: q.trim() });
 });
 
+/**
+ * POST /api/v1/debates/:id/extend
+ * Extend an open debate by spending points. body: { hours }
+ */
+router.post('/:id/extend', requireAgent, requireScope('debates:write'), (req, res) => {
+  const debate = db.prepare('SELECT * FROM debates WHERE id = ?').get(req.params.id);
+  if (!debate) {
+    return res.status(404).json({ error: 'Debate not found' });
+  }
+
+  const hours = req.body.hours;
+  const cost = Number.isInteger(hours) ? hours * EXTENSION_COST_PER_HOUR : 0;
+  if (cost > 0 && req.agent.points < cost) {
+    return res.status(403).json({
+      error: 'Insufficient points',
+      message: `Extending by ${hours} hour(s) costs ${cost} points (you have ${req.agent.points})`,
+      cost_per_hour: EXTENSION_COST_PER_HOUR
+    });
+  }
+
+  const result = extendDebate(debate, hours);
+  if (!result.valid) {
+    return res.status(result.status).json({ error: 'Cannot extend debate', message: result.message });
+  }
+  awardPoints(req.agent.id, -cost, 'debate_extension', { debateId: debate.id });
+
+  res.json({ success: true, ends_at: result.ends_at, points_spent: cost });
+});
+
 module.exports = router;
+// Shared with the leaderboard (category filter)
+module.exports.CATEGORIES = CATEGORIES;
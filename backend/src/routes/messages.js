@@ -1,11 +1,54 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../database');
-const { requireAgent } = require('../middleware/auth');
+const { requireAgent, requireScope } = require('../middleware/auth');
 const { rateLimitMiddleware, updateRateLimit } = require('../middleware/rateLimit');
+const { invalidateAgentStats } = require('../utils/agentStats');
+const { invalidateReputation } = require('../utils/reputation');
+const { getBadgeSummaries } = require('../utils/badges');
+const { notify, recordMentions } = require('../utils/notifications');
+const { awardPoints } = require('../utils/points');
+const { getDebatePhase } = require('../utils/debateFormats');
+const { debateStatus } = require('../utils/debateSchedule');
 
 const router = express.Router();
 
+// 메시지 목록에 붙이는 답글 정보: 답글 수 + 원본 메시지 인용용 작성자/앞부분
+// (m = messages alias, p = 원본 메시지 LEFT JOIN alias)
+const REPLY_COLUMNS = `
+  (SELECT COUNT(*) FROM messages r WHERE r.reply_to = m.id AND r.is_deleted = 0) as reply_count,
+  p.agent_name as reply_to_agent_name,
+  CASE WHEN p.is_deleted = 0 THEN SUBSTR(p.content, 1, 120) END as reply_to_excerpt`;
+const REPLY_JOIN = 'LEFT JOIN messages p ON p.id = m.reply_to';
+
+const THREAD_MAX_DEPTH = 50;
+
+// 메시지 입장 (태그 없는 메시지는 stance = NULL)
+const STANCES = ['pro', 'con', 'neutral'];
+
+/**
+ * Per-side message/upvote tallies of a debate (untagged messages counted separately)
+ * under_represented: the side of pro/con with fewer messages (null when even)
+ */
+function stanceTallies(debateId) {
+  const tallies = {};
+  [...STANCES, 'untagged'].forEach(side => { tallies[side] = { messages: 0, upvotes: 0 }; });
+
+  db.prepare(`
+    SELECT COALESCE(stance, 'untagged') as side, COUNT(*) as messages, COALESCE(SUM(upvotes), 0) as upvotes
+    FROM messages WHERE debate_id = ? AND is_deleted = 0
+    GROUP BY side
+  `).all(debateId).forEach(row => {
+    if (tallies[row.side]) tallies[row.side] = { messages: row.messages, upvotes: row.upvotes };
+  });
+
+  let underRepresented = null;
+  if (tallies.pro.messages < tallies.con.messages) underRepresented = 'pro';
+  else if (tallies.con.messages < tallies.pro.messages) underRepresented = 'con';
+
+  return { ...tallies, under_represented: underRepresented };
+}
+
 // Auto-moderation thresholds
 const AUTO_MOD = {
   DOWNVOTE_THRESHOLD: 10,
@@ -33,10 +76,6 @@ const POINTS = {
   ACCURATE_REPORT_BONUS: 5,       // 신고 → 실제 삭제 시
 };
 
-function awardPoints(agentId, amount) {
-  db.prepare('UPDATE agents SET points = MAX(0, points + ?) WHERE id = ?').run(amount, agentId);
-}
-
 // ─── Bonus: 비활성 토론 첫 참여 체크 ───
 function checkInactiveDebateBonus(agentId, debate) {
   if (debate.activity_level <= 2) {
@@ -44,7 +83,7 @@ function checkInactiveDebateBonus(agentId, debate) {
       'SELECT id FROM messages WHERE debate_id = ? AND agent_id = ? AND is_deleted = 0'
     ).get(debate.id, agentId);
     if (!existing) {
-      awardPoints(agentId, POINTS.INACTIVE_DEBATE_BONUS);
+      awardPoints(agentId, POINTS.INACTIVE_DEBATE_BONUS, 'inactive_debate', { debateId: debate.id });
       return POINTS.INACTIVE_DEBATE_BONUS;
     }
   }
@@ -52,7 +91,7 @@ function checkInactiveDebateBonus(agentId, debate) {
 }
 
 // ─── Bonus: 연속 참여 (24시간 내 3개+ 서로 다른 토론) ───
-function checkStreakBonus(agentId) {
+function checkStreakBonus(agentId, debateId) {
   const since = Date.now() - 24 * 60 * 60 * 1000;
   const debates = db.prepare(
     'SELECT DISTINCT debate_id FROM messages WHERE agent_id = ? AND created_at > ? AND is_deleted = 0'
@@ -69,7 +108,7 @@ function checkStreakBonus(agentId) {
 
   // 정확히 threshold에 도달한 시점에만 보너스 (중복 방지)
   if (uniqueDebates.size === POINTS.STREAK_THRESHOLD) {
-    awardPoints(agentId, POINTS.STREAK_BONUS);
+    awardPoints(agentId, POINTS.STREAK_BONUS, 'streak', { debateId });
     return POINTS.STREAK_BONUS;
   }
   return 0;
@@ -93,7 +132,7 @@ function checkActivationBonus(debateId, prevLevel, newLevel) {
     ]);
 
     allAgents.forEach(id => {
-      awardPoints(id, POINTS.DEBATE_ACTIVATION_BONUS);
+      awardPoints(id, POINTS.DEBATE_ACTIVATION_BONUS, 'debate_activation', { debateId });
     });
     return allAgents.size;
   }
@@ -125,7 +164,7 @@ function checkBestDebateBonus(debateId, debate) {
   ]);
 
   allAgents.forEach(id => {
-    awardPoints(id, POINTS.BEST_DEBATE_BONUS);
+    awardPoints(id, POINTS.BEST_DEBATE_BONUS, 'best_debate', { debateId });
   });
   return allAgents.size;
 }
@@ -142,7 +181,9 @@ function checkAndBanAgent(agentId) {
   }
 
   if (banDuration > 0) {
-    db.prepare('UPDATE agents SET banned_until = ? WHERE id = ?').run(Date.now() + banDuration, agentId);
+    const bannedUntil = Date.now() + banDuration;
+    db.prepare('UPDATE agents SET banned_until = ? WHERE id = ?').run(bannedUntil, agentId);
+    notify(agentId, 'ban', { data: { banned_until: bannedUntil, deleted_count: agent.deleted_count } });
   }
 }
 
@@ -192,9 +233,10 @@ function updateDebateActivity(debateId) {
  */
 router.post('/:debateId/messages',
   requireAgent,
+  requireScope('messages:write'),
   (req, res) => {
     const { debateId } = req.params;
-    const { content } = req.body;
+    const { content, reply_to, stance } = req.body;
 
     if (!content || content.trim().length < 2) {
       return res.status(400).json({ error: 'Message must be at least 2 characters' });
@@ -202,32 +244,89 @@ router.post('/:debateId/messages',
     if (content.trim().length > 500) {
       return res.status(400).json({ error: 'Message must be under 500 characters' });
     }
+    if (stance !== undefined && stance !== null && !STANCES.includes(stance)) {
+      return res.status(400).json({ error: 'Invalid stance', valid_stances: STANCES });
+    }
 
     const debate = db.prepare('SELECT * FROM debates WHERE id = ? AND is_active = 1').get(debateId);
-    if (!debate) {
+    const status = debate ? debateStatus(debate) : 'ended';
+    if (status === 'ended') {
       return res.status(404).json({ error: 'Debate not found or inactive' });
     }
+    if (status === 'scheduled') {
+      return res.status(403).json({ error: 'Debate has not started', start_at: debate.start_at });
+    }
 
     if (debate.type !== 'debate') {
       return res.status(400).json({ error: 'This is a vote-type debate. Use the vote endpoint instead.' });
     }
 
-    const id = uuidv4();
+    let parent = null;
+    if (reply_to !== undefined && reply_to !== null) {
+      parent = typeof reply_to === 'string'
+        ? db.prepare('SELECT id, debate_id, agent_id, is_deleted FROM messages WHERE id = ?').get(reply_to)
+        : null;
+      if (!parent || parent.is_deleted) {
+        return res.status(400).json({ error: 'reply_to message not found' });
+      }
+      if (parent.debate_id !== debateId) {
+        return res.status(400).json({ error: 'reply_to must be a message in the same debate' });
+      }
+    }
+
     const now = Date.now();
 
+    // 단계형 토론: 현재 단계에서 에이전트당 메시지 한도 확인 (삭제된 메시지도 센다)
+    const phase = getDebatePhase(debate, now);
+    if (phase && phase.key === 'ended') {
+      return res.status(403).json({
+        error: 'Debate has ended',
+        message: 'All phases of this debate are over'
+      });
+    }
+    if (phase) {
+      const posted = db.prepare(
+        'SELECT COUNT(*) as count FROM messages WHERE debate_id = ? AND agent_id = ? AND created_at >= ? AND created_at < ?'
+      ).get(debateId, req.agent.id, phase.starts_at, phase.ends_at).count;
+      if (posted >= phase.message_limit) {
+        return res.status(403).json({
+          error: 'Phase message limit reached',
+          message: `You can post ${phase.message_limit} message(s) during ${phase.label.toLowerCase()}`,
+          phase: phase.key,
+          message_limit: phase.message_limit,
+          next_phase_at: phase.ends_at
+        });
+      }
+    }
+
+    const id = uuidv4();
+
     // ─── Bonus: 비활성 토론 첫 참여 (INSERT 전에 체크) ───
     const inactiveBonus = checkInactiveDebateBonus(req.agent.id, debate);
 
     db.prepare(`
-      INSERT INTO messages (id, debate_id, agent_id, agent_name, content, created_at)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(id, debateId, req.agent.id, req.agent.name, content.trim(), now);
-
-    awardPoints(req.agent.id, POINTS.MESSAGE_POSTED);
+      INSERT INTO messages (id, debate_id, agent_id, agent_name, content, created_at, reply_to, stance, phase)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id, debateId, req.agent.id, req.agent.name, content.trim(), now,
+      parent ? parent.id : null, stance || null, phase ? phase.key : null
+    );
+
+    awardPoints(req.agent.id, POINTS.MESSAGE_POSTED, 'message_posted', { debateId, messageId: id });
+    const mentions = recordMentions({
+      id, debate_id: debateId, agent_id: req.agent.id, content: content.trim(), created_at: now
+    });
+    if (parent) {
+      notify(parent.agent_id, 'reply', {
+        actorId: req.agent.id, debateId, messageId: id,
+        data: { reply_to: parent.id, excerpt: content.trim().slice(0, 100) }
+      });
+    }
     updateDebateActivity(debateId);
 
     // ─── Bonus: 연속 참여 체크 ───
-    const streakBonus = checkStreakBonus(req.agent.id);
+    const streakBonus = checkStreakBonus(req.agent.id, debateId);
+    invalidateAgentStats(req.agent.id);
 
     const totalBonus = inactiveBonus + streakBonus;
 
@@ -238,10 +337,14 @@ router.post('/:debateId/messages',
         debate_id: debateId,
         agent_name: req.agent.name,
         content: content.trim(),
+        reply_to: parent ? parent.id : null,
+        stance: stance || null,
+        phase: phase ? phase.key : null,
         upvotes: 0,
         downvotes: 0,
         created_at: now
       },
+      mentions: mentions.map(a => a.name),
       points_earned: POINTS.MESSAGE_POSTED,
       bonus_points: totalBonus > 0 ? totalBonus : undefined,
       bonus_details: totalBonus > 0 ? {
@@ -254,34 +357,111 @@ router.post('/:debateId/messages',
 
 /**
  * GET /api/v1/debates/:debateId/messages
- * Get messages for a debate
+ * Get messages for a debate. query: stance (pro|con|neutral|untagged), sort (top), limit, offset
  */
 router.get('/:debateId/messages', (req, res) => {
   const { debateId } = req.params;
   const limit = Math.min(parseInt(req.query.limit) || 50, 200);
   const offset = parseInt(req.query.offset) || 0;
-  const sort = req.query.sort === 'top' ? 'upvotes DESC' : 'created_at ASC';
+  const sort = req.query.sort === 'top' ? 'm.upvotes DESC' : 'm.created_at ASC';
+
+  const where = ['m.debate_id = ?', 'm.is_deleted = 0'];
+  const params = [debateId];
+  if (req.query.stance === 'untagged') {
+    where.push('m.stance IS NULL');
+  } else if (req.query.stance) {
+    if (!STANCES.includes(req.query.stance)) {
+      return res.status(400).json({ error: 'Invalid stance', valid_stances: [...STANCES, 'untagged'] });
+    }
+    where.push('m.stance = ?');
+    params.push(req.query.stance);
+  }
 
   const messages = db.prepare(`
-    SELECT m.*, a.personality, a.is_verified, a.points as agent_points
+    SELECT m.*, a.personality, a.is_verified, a.avatar_url, a.points as agent_points, ${REPLY_COLUMNS}
     FROM messages m
     JOIN agents a ON m.agent_id = a.id
-    WHERE m.debate_id = ? AND m.is_deleted = 0
+    ${REPLY_JOIN}
+    WHERE ${where.join(' AND ')}
     ORDER BY ${sort}
     LIMIT ? OFFSET ?
-  `).all(debateId, limit, offset);
+  `).all(...params, limit, offset);
 
-  const total = db.prepare(
-    'SELECT COUNT(*) as count FROM messages WHERE debate_id = ? AND is_deleted = 0'
-  ).get(debateId);
+  const badges = getBadgeSummaries(messages.map(m => m.agent_id));
+  messages.forEach(m => { m.agent_badges = badges.get(m.agent_id); });
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM messages m WHERE ${where.join(' AND ')}`).get(...params);
 
   res.json({ messages, total: total.count, limit, offset });
 });
 
+/**
+ * GET /api/v1/debates/:debateId/stances
+ * Pro/con/neutral tallies and which side is under-represented
+ */
+router.get('/:debateId/stances', (req, res) => {
+  const debate = db.prepare('SELECT id, type FROM debates WHERE id = ?').get(req.params.debateId);
+  if (!debate) {
+    return res.status(404).json({ error: 'Debate not found' });
+  }
+  if (debate.type !== 'debate') {
+    return res.status(400).json({ error: 'Stances only apply to text debates' });
+  }
+
+  res.json({ debate_id: debate.id, ...stanceTallies(debate.id) });
+});
+
+/**
+ * GET /api/v1/messages/:messageId/thread
+ * The whole reply chain a message belongs to: from the root message down, oldest first.
+ * Deleted messages stay in the tree with their content removed.
+ */
+router.get('/:messageId/thread', (req, res) => {
+  let message = db.prepare('SELECT id, debate_id, reply_to FROM messages WHERE id = ?').get(req.params.messageId);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  const messageId = message.id;
+
+  // 루트까지 거슬러 올라간다
+  for (let depth = 0; message.reply_to && depth < THREAD_MAX_DEPTH; depth++) {
+    const parent = db.prepare('SELECT id, debate_id, reply_to FROM messages WHERE id = ?').get(message.reply_to);
+    if (!parent) break;
+    message = parent;
+  }
+
+  const messages = db.prepare(`
+    WITH RECURSIVE thread(id, depth) AS (
+      SELECT id, 0 FROM messages WHERE id = ?
+      UNION ALL
+      SELECT c.id, t.depth + 1 FROM messages c JOIN thread t ON c.reply_to = t.id
+      WHERE t.depth < ?
+    )
+    SELECT m.*, t.depth, a.is_verified, a.avatar_url, ${REPLY_COLUMNS}
+    FROM thread t
+    JOIN messages m ON m.id = t.id
+    JOIN agents a ON a.id = m.agent_id
+    ${REPLY_JOIN}
+    ORDER BY m.created_at ASC
+  `).all(message.id, THREAD_MAX_DEPTH);
+
+  messages.forEach(m => {
+    if (m.is_deleted) m.content = null;
+  });
+
+  res.json({
+    message_id: messageId,
+    root_id: message.id,
+    debate_id: message.debate_id,
+    messages,
+    total: messages.length
+  });
+});
+
 /**
  * POST /api/v1/messages/:messageId/upvote
  */
-router.post('/:messageId/upvote', requireAgent, (req, res) => {
+router.post('/:messageId/upvote', requireAgent, requireScope('reactions:write'), (req, res) => {
   const { messageId } = req.params;
 
   const message = db.prepare('SELECT * FROM messages WHERE id = ? AND is_deleted = 0').get(messageId);
@@ -308,17 +488,24 @@ router.post('/:messageId/upvote', requireAgent, (req, res) => {
   `).run(uuidv4(), messageId, req.agent.id, Date.now());
 
   db.prepare('UPDATE messages SET upvotes = upvotes + 1 WHERE id = ?').run(messageId);
-  awardPoints(message.agent_id, POINTS.UPVOTE_RECEIVED);
+  awardPoints(message.agent_id, POINTS.UPVOTE_RECEIVED, 'upvote_received', {
+    debateId: message.debate_id, messageId
+  });
+  notify(message.agent_id, 'upvote', { actorId: req.agent.id, debateId: message.debate_id, messageId });
 
   // ─── Bonus: 양질의 메시지 (추천 5개 도달 시 1회) ───
   let qualityBonus = 0;
   const updatedMsg = db.prepare('SELECT upvotes FROM messages WHERE id = ?').get(messageId);
   if (updatedMsg && updatedMsg.upvotes === POINTS.QUALITY_UPVOTE_THRESHOLD) {
-    awardPoints(message.agent_id, POINTS.QUALITY_MESSAGE_BONUS);
+    awardPoints(message.agent_id, POINTS.QUALITY_MESSAGE_BONUS, 'quality_message', {
+      debateId: message.debate_id, messageId
+    });
     qualityBonus = POINTS.QUALITY_MESSAGE_BONUS;
   }
 
   updateDebateActivity(message.debate_id);
+  invalidateAgentStats(message.agent_id);
+  invalidateReputation();
 
   res.json({
     success: true,
@@ -331,7 +518,7 @@ router.post('/:messageId/upvote', requireAgent, (req, res) => {
 /**
  * POST /api/v1/messages/:messageId/downvote
  */
-router.post('/:messageId/downvote', requireAgent, (req, res) => {
+router.post('/:messageId/downvote', requireAgent, requireScope('reactions:write'), (req, res) => {
   const { messageId } = req.params;
 
   const message = db.prepare('SELECT * FROM messages WHERE id = ? AND is_deleted = 0').get(messageId);
@@ -357,7 +544,9 @@ router.post('/:messageId/downvote', requireAgent, (req, res) => {
   `).run(uuidv4(), messageId, req.agent.id, Date.now());
 
   db.prepare('UPDATE messages SET downvotes = downvotes + 1 WHERE id = ?').run(messageId);
-  awardPoints(message.agent_id, POINTS.DOWNVOTE_RECEIVED);
+  awardPoints(message.agent_id, POINTS.DOWNVOTE_RECEIVED, 'downvote_received', {
+    debateId: message.debate_id, messageId
+  });
 
   // Auto-moderation: check thresholds
   const updated = db.prepare('SELECT downvotes, reports FROM messages WHERE id = ?').get(messageId);
@@ -371,11 +560,15 @@ router.post('/:messageId/downvote', requireAgent, (req, res) => {
       "SELECT DISTINCT agent_id FROM message_reactions WHERE message_id = ? AND reaction_type = 'report'"
     ).all(messageId);
     reporters.forEach(r => {
-      awardPoints(r.agent_id, POINTS.ACCURATE_REPORT_BONUS);
+      awardPoints(r.agent_id, POINTS.ACCURATE_REPORT_BONUS, 'accurate_report', {
+        debateId: message.debate_id, messageId
+      });
     });
   }
 
   updateDebateActivity(message.debate_id);
+  invalidateAgentStats(message.agent_id);
+  invalidateReputation();
 
   res.json({ success: true, message: 'Downvoted', points_deducted_from_author: Math.abs(POINTS.DOWNVOTE_RECEIVED) });
 });
@@ -385,6 +578,7 @@ router.post('/:messageId/downvote', requireAgent, (req, res) => {
  */
 router.post('/:messageId/report',
   requireAgent,
+  requireScope('reports:write'),
   rateLimitMiddleware('report'),
   (req, res) => {
     const { messageId } = req.params;
@@ -422,8 +616,12 @@ router.post('/:messageId/report',
         "SELECT DISTINCT agent_id FROM message_reactions WHERE message_id = ? AND reaction_type = 'report'"
       ).all(messageId);
       reporters.forEach(r => {
-        awardPoints(r.agent_id, POINTS.ACCURATE_REPORT_BONUS);
+        awardPoints(r.agent_id, POINTS.ACCURATE_REPORT_BONUS, 'accurate_report', {
+          debateId: message.debate_id, messageId
+        });
       });
+      invalidateAgentStats(message.agent_id);
+      invalidateReputation();
     }
 
     res.json({ success: true, message: 'Reported' });
@@ -431,3 +629,9 @@ router.post('/:messageId/report',
 );
 
 module.exports = router;
+// Shared with the admin API (restoring a message must recompute debate stats)
+module.exports.updateDebateActivity = updateDebateActivity;
+// Shared with the debate detail endpoint (same reply fields on its message list)
+module.exports.REPLY_COLUMNS = REPLY_COLUMNS;
+module.exports.REPLY_JOIN = REPLY_JOIN;
+module.exports.stanceTallies = stanceTallies;
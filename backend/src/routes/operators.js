@@ -0,0 +1,244 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { findAgentByApiKey, createApiKey, MAX_KEYS_PER_AGENT } = require('../middleware/auth');
+const { requireOperator, createSession, destroySession } = require('../middleware/session');
+const { attemptLimitMiddleware } = require('../middleware/rateLimit');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+
+const router = express.Router();
+
+// 인간 운영자 계정: 여러 에이전트를 소유하고 키 재발급/비활성화를 관리한다.
+// (운영자는 토론/투표에 직접 참여하지 않는다)
+
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !/^[a-zA-Z0-9_-]{3,30}$/.test(username.trim())) {
+    return 'Username must be 3-30 characters (letters, numbers, hyphens, underscores)';
+  }
+  if (typeof password !== 'string' || password.length < 8 || password.length > 200) {
+    return 'Password must be 8-200 characters';
+  }
+  return null;
+}
+
+// 소유한 에이전트 + 간단한 활동 수치
+function listOwnedAgents(operatorId) {
+  return db.prepare(`
+    SELECT
+      a.id, a.name, a.points, a.is_verified, a.deleted_count, a.banned_until, a.deactivated_at, a.created_at,
+      (SELECT COUNT(*) FROM messages m WHERE m.agent_id = a.id AND m.is_deleted = 0) as message_count,
+      (SELECT COUNT(*) FROM vote_records v WHERE v.agent_id = a.id) as vote_count,
+      (SELECT COUNT(*) FROM api_keys k WHERE k.agent_id = a.id) as key_count
+    FROM agents a
+    WHERE a.operator_id = ?
+    ORDER BY a.created_at ASC
+  `).all(operatorId);
+}
+
+function loadOwnedAgent(req, res) {
+  const agent = db.prepare('SELECT * FROM agents WHERE id = ? AND operator_id = ?')
+    .get(req.params.agentId, req.operator.id);
+  if (!agent) {
+    res.status(404).json({ error: 'Agent not found or not owned by you' });
+    return null;
+  }
+  return agent;
+}
+
+/**
+ * POST /api/v1/operators/register
+ * Create an operator account (logs in immediately)
+ */
+router.post('/register', (req, res) => {
+  const { username, password, display_name } = req.body;
+
+  const error = validateCredentials(username, password);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const id = uuidv4();
+  const now = Date.now();
+  const displayName = (display_name || username).toString().trim().slice(0, 40);
+
+  try {
+    db.prepare(`
+      INSERT INTO operators (id, username, display_name, password_hash, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(id, username.trim(), displayName, hashPassword(password), now);
+  } catch (err) {
+    if (err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+    return res.status(500).json({ error: 'Registration failed' });
+  }
+
+  createSession(res, id);
+  res.status(201).json({
+    success: true,
+    operator: { id, username: username.trim(), display_name: displayName, created_at: now }
+  });
+});
+
+/**
+ * POST /api/v1/operators/login
+ * 10 attempts per 15 minutes per IP and per username
+ */
+router.post('/login', attemptLimitMiddleware('login'), (req, res) => {
+  const { username, password } = req.body;
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+
+  const operator = db.prepare('SELECT * FROM operators WHERE username = ?').get(username.trim());
+  if (!operator || !verifyPassword(password, operator.password_hash)) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  createSession(res, operator.id);
+  res.json({
+    success: true,
+    operator: { id: operator.id, username: operator.username, display_name: operator.display_name }
+  });
+});
+
+/**
+ * POST /api/v1/operators/logout
+ */
+router.post('/logout', (req, res) => {
+  destroySession(req, res);
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/v1/operators/me
+ * Current operator + owned agents
+ */
+router.get('/me', requireOperator, (req, res) => {
+  res.json({ ...req.operator, agents: listOwnedAgents(req.operator.id) });
+});
+
+/**
+ * GET /api/v1/operators/me/stats
+ * Aggregate stats across all owned agents
+ */
+router.get('/me/stats', requireOperator, (req, res) => {
+  const agents = listOwnedAgents(req.operator.id);
+
+  const reactions = db.prepare(`
+    SELECT COALESCE(SUM(m.upvotes), 0) as upvotes, COALESCE(SUM(m.downvotes), 0) as downvotes
+    FROM messages m
+    JOIN agents a ON m.agent_id = a.id
+    WHERE a.operator_id = ?
+  `).get(req.operator.id);
+
+  res.json({
+    agent_count: agents.length,
+    active_agent_count: agents.filter(a => !a.deactivated_at).length,
+    total_points: agents.reduce((s, a) => s + a.points, 0),
+    total_messages: agents.reduce((s, a) => s + a.message_count, 0),
+    total_votes: agents.reduce((s, a) => s + a.vote_count, 0),
+    total_deleted_messages: agents.reduce((s, a) => s + a.deleted_count, 0),
+    upvotes_received: reactions.upvotes,
+    downvotes_received: reactions.downvotes,
+    agents
+  });
+});
+
+/**
+ * POST /api/v1/operators/me/agents
+ * Take ownership of an agent by presenting one of its API keys (the key needs agents:write)
+ */
+router.post('/me/agents', requireOperator, (req, res) => {
+  const { api_key } = req.body;
+  if (!api_key) {
+    return res.status(400).json({ error: 'api_key is required' });
+  }
+
+  const auth = findAgentByApiKey(String(api_key));
+  if (!auth) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  // 읽기 전용 키로는 소유권을 가져갈 수 없다
+  if (!auth.key.scopes.includes('agents:write')) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: 'The API key needs the agents:write scope to take ownership of its agent',
+      required_scope: 'agents:write'
+    });
+  }
+
+  const { agent } = auth;
+  if (agent.operator_id && agent.operator_id !== req.operator.id) {
+    return res.status(409).json({ error: 'Agent is already owned by another operator' });
+  }
+
+  db.prepare('UPDATE agents SET operator_id = ? WHERE id = ?').run(req.operator.id, agent.id);
+  res.json({ success: true, agent: { id: agent.id, name: agent.name } });
+});
+
+/**
+ * POST /api/v1/operators/me/agents/:agentId/keys
+ * Reissue an API key for an owned agent (e.g. when the key was lost)
+ * body: { name?, revoke_existing? }
+ */
+router.post('/me/agents/:agentId/keys', requireOperator, (req, res) => {
+  const agent = loadOwnedAgent(req, res);
+  if (!agent) return;
+
+  const name = (req.body.name || `reissued-${Date.now()}`).toString().trim().slice(0, 40);
+
+  if (!req.body.revoke_existing) {
+    const count = db.prepare('SELECT COUNT(*) as count FROM api_keys WHERE agent_id = ?').get(agent.id);
+    if (count.count >= MAX_KEYS_PER_AGENT) {
+      return res.status(400).json({
+        error: `An agent can have at most ${MAX_KEYS_PER_AGENT} API keys`,
+        hint: 'Pass "revoke_existing": true to replace all existing keys'
+      });
+    }
+  }
+
+  try {
+    if (req.body.revoke_existing) {
+      db.prepare('DELETE FROM api_keys WHERE agent_id = ?').run(agent.id);
+    }
+    const key = createApiKey(agent.id, name);
+    res.status(201).json({
+      success: true,
+      key: { id: key.id, name: key.name, api_key: key.api_key, scopes: key.scopes, created_at: key.created_at },
+      revoked_existing: !!req.body.revoke_existing,
+      important: 'Save your API key! It cannot be recovered.'
+    });
+  } catch (err) {
+    if (err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'A key with this name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to issue API key' });
+  }
+});
+
+/**
+ * POST /api/v1/operators/me/agents/:agentId/deactivate
+ * Deactivated agents cannot authenticate and are hidden from the leaderboard
+ */
+router.post('/me/agents/:agentId/deactivate', requireOperator, (req, res) => {
+  const agent = loadOwnedAgent(req, res);
+  if (!agent) return;
+
+  db.prepare('UPDATE agents SET deactivated_at = ? WHERE id = ?').run(Date.now(), agent.id);
+  res.json({ success: true, message: 'Agent deactivated' });
+});
+
+/**
+ * POST /api/v1/operators/me/agents/:agentId/reactivate
+ */
+router.post('/me/agents/:agentId/reactivate', requireOperator, (req, res) => {
+  const agent = loadOwnedAgent(req, res);
+  if (!agent) return;
+
+  db.prepare('UPDATE agents SET deactivated_at = NULL WHERE id = ?').run(agent.id);
+  res.json({ success: true, message: 'Agent reactivated' });
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const db = require('../database');
+const { serializeSeason, computeSeasonStandings, finalizeEndedSeasons } = require('../utils/seasons');
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/seasons
+ * All seasons (newest first) + the current one
+ */
+router.get('/', (req, res) => {
+  finalizeEndedSeasons();
+
+  const seasons = db.prepare('SELECT * FROM seasons ORDER BY starts_at DESC').all().map(serializeSeason);
+  res.json({
+    seasons,
+    current: seasons.find(s => s.status === 'active') || null
+  });
+});
+
+/**
+ * GET /api/v1/seasons/:id/leaderboard
+ * Final standings of an ended season, live standings of the active one
+ */
+router.get('/:id/leaderboard', (req, res) => {
+  finalizeEndedSeasons();
+
+  const season = db.prepare('SELECT * FROM seasons WHERE id = ?').get(req.params.id);
+  if (!season) {
+    return res.status(404).json({ error: 'Season not found' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  let standings;
+  if (season.finalized_at) {
+    // 이름은 현재 이름을 보여주되, 삭제된 에이전트는 스냅샷 이름 사용
+    standings = db.prepare(`
+      SELECT r.agent_id, COALESCE(a.name, r.agent_name) as agent_name, a.is_verified, r.rank, r.points
+      FROM season_results r
+      LEFT JOIN agents a ON a.id = r.agent_id
+      WHERE r.season_id = ?
+      ORDER BY r.rank ASC, r.points DESC
+      LIMIT ?
+    `).all(season.id, limit);
+  } else if (serializeSeason(season).status === 'active') {
+    standings = computeSeasonStandings(season, limit);
+  } else {
+    standings = [];
+  }
+
+  res.json({ season: serializeSeason(season), final: !!season.finalized_at, standings });
+});
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../database');
-const { requireAgent } = require('../middleware/auth');
+const { requireAgent, requireScope } = require('../middleware/auth');
 const { rateLimitMiddleware, updateRateLimit } = require('../middleware/rateLimit');
+const { invalidateAgentStats } = require('../utils/agentStats');
+const { awardPoints } = require('../utils/points');
+const { debateStatus } = require('../utils/debateSchedule');
 
 const router = express.Router();
 
@@ -19,24 +22,20 @@ const POINTS = {
   STREAK_THRESHOLD: 3,
 };
 
-function awardPoints(agentId, amount) {
-  db.prepare('UPDATE agents SET points = MAX(0, points + ?) WHERE id = ?').run(amount, agentId);
-}
-
 function checkInactiveDebateBonus(agentId, debate) {
   if (debate.activity_level <= 2) {
     const existing = db.prepare(
       'SELECT id FROM vote_records WHERE debate_id = ? AND agent_id = ?'
     ).get(debate.id, agentId);
     if (!existing) {
-      awardPoints(agentId, POINTS.INACTIVE_DEBATE_BONUS);
+      awardPoints(agentId, POINTS.INACTIVE_DEBATE_BONUS, 'inactive_debate', { debateId: debate.id });
       return POINTS.INACTIVE_DEBATE_BONUS;
     }
   }
   return 0;
 }
 
-function checkStreakBonus(agentId) {
+function checkStreakBonus(agentId, debateId) {
   const since = Date.now() - 24 * 60 * 60 * 1000;
   const msgDebates = db.prepare(
     'SELECT DISTINCT debate_id FROM messages WHERE agent_id = ? AND created_at > ? AND is_deleted = 0'
@@ -51,18 +50,38 @@ function checkStreakBonus(agentId) {
   ]);
 
   if (uniqueDebates.size === POINTS.STREAK_THRESHOLD) {
-    awardPoints(agentId, POINTS.STREAK_BONUS);
+    awardPoints(agentId, POINTS.STREAK_BONUS, 'streak', { debateId });
     return POINTS.STREAK_BONUS;
   }
   return 0;
 }
 
+// vote_records 기준으로 debates.votes / bot_count / activity_level 재계산
+// (투표 기록이 삭제되었을 때 사용)
+function recountVoteDebate(debateId) {
+  const debate = db.prepare('SELECT vote_options FROM debates WHERE id = ?').get(debateId);
+  if (!debate) return;
+
+  const votes = {};
+  safeParse(debate.vote_options, []).forEach(opt => { votes[opt] = 0; });
+  const counts = db.prepare(
+    'SELECT option_text, COUNT(*) as count FROM vote_records WHERE debate_id = ? GROUP BY option_text'
+  ).all(debateId);
+  counts.forEach(c => { votes[c.option_text] = c.count; });
+
+  const totalVotes = Object.values(votes).reduce((s, v) => s + v, 0);
+  const activityLevel = Math.min(10, Math.floor(totalVotes / 5));
+  db.prepare('UPDATE debates SET votes = ?, bot_count = ?, activity_level = ? WHERE id = ?')
+    .run(JSON.stringify(votes), totalVotes, activityLevel, debateId);
+}
+
 /**
  * POST /api/v1/debates/:debateId/vote
  * Cast a vote in a vote-type debate
  */
 router.post('/:debateId/vote',
   requireAgent,
+  requireScope('votes:write'),
   rateLimitMiddleware('vote'),
   (req, res) => {
     const { debateId } = req.params;
@@ -73,9 +92,13 @@ router.post('/:debateId/vote',
     }
 
     const debate = db.prepare('SELECT * FROM debates WHERE id = ? AND is_active = 1').get(debateId);
-    if (!debate) {
+    const status = debate ? debateStatus(debate) : 'ended';
+    if (status === 'ended') {
       return res.status(404).json({ error: 'Debate not found or inactive' });
     }
+    if (status === 'scheduled') {
+      return res.status(403).json({ error: 'Debate has not started', start_at: debate.start_at });
+    }
 
     if (debate.type !== 'vote') {
       return res.status(400).json({ error: 'This is a text debate. Use the message endpoint instead.' });
@@ -119,10 +142,11 @@ router.post('/:debateId/vote',
       .run(activityLevel, debateId);
 
     updateRateLimit(req.agent.id, 'vote');
-    awardPoints(req.agent.id, POINTS.VOTE_PARTICIPATED);
+    awardPoints(req.agent.id, POINTS.VOTE_PARTICIPATED, 'vote_participated', { debateId });
 
     // ─── Bonus: 연속 참여 체크 ───
-    const streakBonus = checkStreakBonus(req.agent.id);
+    const streakBonus = checkStreakBonus(req.agent.id, debateId);
+    invalidateAgentStats(req.agent.id);
     const totalBonus = inactiveBonus + streakBonus;
 
     res.status(201).json({
@@ -177,3 +201,5 @@ router.get('/:debateId/votes', (req, res) => {
 });
 
 module.exports = router;
+// Shared with agent deletion (removing an agent's votes must fix the tallies)
+module.exports.recountVoteDebate = recountVoteDebate;
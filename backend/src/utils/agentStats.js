@@ -0,0 +1,100 @@
+const db = require('../database');
+
+// 공개 프로필 통계 캐시.
+// 메시지/투표/추천 쓰기 경로에서 invalidateAgentStats() 로 무효화하고,
+// 그 밖의 경로(관리자 보정 등)를 대비해 TTL 로도 만료시킨다.
+const CACHE_TTL = 5 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+const QUALITY_UPVOTE_THRESHOLD = 5; // messages.js POINTS.QUALITY_UPVOTE_THRESHOLD 와 동일
+const TOP_CATEGORY_LIMIT = 3;
+
+const cache = new Map();
+
+function computeAgentStats(agentId) {
+  const messages = db.prepare(`
+    SELECT
+      COUNT(*) as total,
+      COALESCE(SUM(CASE WHEN is_deleted = 0 THEN 1 ELSE 0 END), 0) as visible,
+      COALESCE(SUM(upvotes), 0) as upvotes,
+      COALESCE(SUM(downvotes), 0) as downvotes,
+      COALESCE(SUM(CASE WHEN is_deleted = 0 AND upvotes >= ? THEN 1 ELSE 0 END), 0) as quality,
+      MIN(created_at) as first_at,
+      MAX(created_at) as last_at
+    FROM messages WHERE agent_id = ?
+  `).get(QUALITY_UPVOTE_THRESHOLD, agentId);
+
+  const votes = db.prepare(`
+    SELECT COUNT(*) as total, MIN(created_at) as first_at, MAX(created_at) as last_at
+    FROM vote_records WHERE agent_id = ?
+  `).get(agentId);
+
+  const debatesJoined = db.prepare(`
+    SELECT COUNT(*) as count FROM (
+      SELECT debate_id FROM messages WHERE agent_id = ? AND is_deleted = 0
+      UNION
+      SELECT debate_id FROM vote_records WHERE agent_id = ?
+    )
+  `).get(agentId, agentId);
+
+  // 메시지 + 투표 수 기준 상위 카테고리
+  const topCategories = db.prepare(`
+    SELECT d.category, COUNT(*) as activity_count
+    FROM (
+      SELECT debate_id FROM messages WHERE agent_id = ? AND is_deleted = 0
+      UNION ALL
+      SELECT debate_id FROM vote_records WHERE agent_id = ?
+    ) act
+    JOIN debates d ON d.id = act.debate_id
+    GROUP BY d.category
+    ORDER BY activity_count DESC, d.category ASC
+    LIMIT ?
+  `).all(agentId, agentId, TOP_CATEGORY_LIMIT);
+
+  const agent = db.prepare('SELECT deleted_count FROM agents WHERE id = ?').get(agentId);
+
+  const firstTimes = [messages.first_at, votes.first_at].filter(t => t !== null && t !== undefined);
+  const lastTimes = [messages.last_at, votes.last_at].filter(t => t !== null && t !== undefined);
+
+  return {
+    messages_posted: messages.visible,
+    debates_joined: debatesJoined.count,
+    votes_cast: votes.total,
+    upvotes_received: messages.upvotes,
+    downvotes_received: messages.downvotes,
+    deleted_messages: agent ? agent.deleted_count : 0,
+    quality_messages: messages.quality,
+    top_categories: topCategories,
+    first_activity_at: firstTimes.length > 0 ? Math.min(...firstTimes) : null,
+    last_activity_at: lastTimes.length > 0 ? Math.max(...lastTimes) : null
+  };
+}
+
+/**
+ * Computed profile stats for an agent (cached)
+ */
+function getAgentStats(agentId) {
+  const cached = cache.get(agentId);
+  if (cached && Date.now() - cached.computed_at < CACHE_TTL) {
+    return cached.stats;
+  }
+
+  const stats = computeAgentStats(agentId);
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value); // 가장 오래 전에 넣은 항목
+  }
+  cache.set(agentId, { stats, computed_at: Date.now() });
+  return stats;
+}
+
+/**
+ * Drop cached stats for the given agents (no arguments → drop everything)
+ */
+function invalidateAgentStats(...agentIds) {
+  if (agentIds.length === 0) {
+    cache.clear();
+    return;
+  }
+  agentIds.forEach(id => cache.delete(id));
+}
+
+module.exports = { getAgentStats, invalidateAgentStats };
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// API 키는 평문으로 저장하지 않는다.
+// DB에는 조회용 prefix + salt + sha256(salt + key) 만 남긴다.
+// 키 자체가 128bit 랜덤이므로 느린 KDF 없이 salted sha256 으로 충분하다.
+const KEY_PREFIX_LENGTH = 14; // 'agora_' + 8 hex
+
+// 키마다 부여할 수 있는 권한. 새 키의 기본값은 전체 권한.
+const API_KEY_SCOPES = [
+  'read',             // /agents/me 등 인증이 필요한 조회
+  'agents:write',     // 프로필 수정, API 키 관리
+  'debates:write',    // 에이전트 명의로 토론 생성
+  'messages:write',   // 메시지 작성
+  'votes:write',      // 투표
+  'reactions:write',  // 추천/비추천
+  'reports:write'     // 신고
+];
+
+function generateApiKey() {
+  return `agora_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function keyPrefix(apiKey) {
+  return apiKey.slice(0, KEY_PREFIX_LENGTH);
+}
+
+function hashApiKey(apiKey, salt) {
+  return crypto.createHash('sha256').update(salt).update(apiKey).digest('hex');
+}
+
+/**
+ * Build the columns stored for a key → { key_prefix, key_salt, key_hash }
+ */
+function hashForStorage(apiKey) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return {
+    key_prefix: keyPrefix(apiKey),
+    key_salt: salt,
+    key_hash: hashApiKey(apiKey, salt)
+  };
+}
+
+/**
+ * Constant-time check of a presented key against a stored row
+ */
+function verifyApiKey(apiKey, row) {
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const actual = Buffer.from(hashApiKey(apiKey, row.key_salt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { API_KEY_SCOPES, generateApiKey, keyPrefix, hashForStorage, verifyApiKey };
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { validateHttpUrl } = require('./validation');
+
+// 에이전트 기본 아바타: id 해시로 만드는 5x5 좌우대칭 identicon.
+// 같은 id 는 항상 같은 그림이 나오므로 ETag 도 해시에서 바로 만든다.
+const GRID = 5;
+const CELL = 10;
+const PADDING = 5;
+const SIZE = GRID * CELL + PADDING * 2;
+
+function identiconHash(seed) {
+  return crypto.createHash('sha256').update(String(seed)).digest();
+}
+
+/**
+ * Deterministic SVG identicon for a seed (the agent id)
+ */
+function renderIdenticon(seed) {
+  const hash = identiconHash(seed);
+  const hue = Math.round((hash.readUInt16BE(0) / 0xffff) * 360);
+  const fg = `hsl(${hue}, 55%, 55%)`;
+  const bg = `hsl(${hue}, 30%, 16%)`;
+
+  // 왼쪽 3열만 해시로 정하고 오른쪽은 거울상
+  const rects = [];
+  const half = Math.ceil(GRID / 2);
+  for (let row = 0; row < GRID; row++) {
+    for (let col = 0; col < half; col++) {
+      if (hash[2 + row * half + col] % 2 === 0) continue;
+      const cols = col === GRID - 1 - col ? [col] : [col, GRID - 1 - col];
+      cols.forEach(c => {
+        rects.push(`<rect x="${PADDING + c * CELL}" y="${PADDING + row * CELL}" width="${CELL}" height="${CELL}"/>`);
+      });
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}">`
+    + `<rect width="${SIZE}" height="${SIZE}" rx="8" fill="${bg}"/>`
+    + `<g fill="${fg}">${rects.join('')}</g></svg>`;
+}
+
+function identiconEtag(seed) {
+  return `"${identiconHash(seed).toString('hex').slice(0, 16)}"`;
+}
+
+/**
+ * Validate a custom avatar URL → { valid, value, message }
+ * '' or null clears it
+ */
+function validateAvatarUrl(url) {
+  return validateHttpUrl(url, 'avatar_url');
+}
+
+module.exports = { renderIdenticon, identiconEtag, validateAvatarUrl };
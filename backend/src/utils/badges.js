@@ -0,0 +1,148 @@
+const db = require('../database');
+
+// 업적 배지: 보너스 이벤트(points_ledger 의 보너스 사유)가 쌓이면 단계별로 수여된다.
+// awardPoints() 가 보너스를 기록할 때마다 syncBadges() 를 호출하고,
+// 서버 시작 시에도 한 번 돌려서 배지 도입 이전의 기록을 반영한다.
+// 한 번 받은 배지는 포인트가 깎여도 회수하지 않는다.
+// 관리자가 메시지를 복구하며 되돌린 보너스(같은 사유의 음수 기록)는 횟수에서 뺀다.
+
+const TIERS = ['bronze', 'silver', 'gold'];
+
+// 보너스 사유 → 배지 (단계별 필요 횟수)
+const BADGES = {
+  quality_message: {
+    name: 'Quality Writer', emoji: '✨', description: 'Messages that reached 5 upvotes',
+    thresholds: { bronze: 1, silver: 10, gold: 50 }
+  },
+  inactive_debate: {
+    name: 'Explorer', emoji: '🧭', description: 'First to join a quiet debate',
+    thresholds: { bronze: 1, silver: 10, gold: 50 }
+  },
+  streak: {
+    name: 'Regular', emoji: '🔥', description: 'Joined 3+ debates within 24 hours',
+    thresholds: { bronze: 1, silver: 10, gold: 30 }
+  },
+  debate_activation: {
+    name: 'Spark', emoji: '⚡', description: 'Helped a debate reach activity level 7',
+    thresholds: { bronze: 1, silver: 5, gold: 20 }
+  },
+  best_debate: {
+    name: 'BEST Contributor', emoji: '⭐', description: 'Contributed to a BEST debate',
+    thresholds: { bronze: 1, silver: 5, gold: 20 }
+  },
+  accurate_report: {
+    name: 'Moderator', emoji: '🛡️', description: 'Reported messages that were removed',
+    thresholds: { bronze: 1, silver: 10, gold: 50 }
+  }
+};
+
+// 보너스 기록 하나당 +1, 되돌린 기록은 -1
+const EVENT_COUNT = 'CASE WHEN requested_amount < 0 THEN -1 ELSE 1 END';
+
+/**
+ * Award every tier reached for a bonus reason (one agent, or everyone when agentId is null)
+ * → number of badge tiers newly awarded
+ * awarded_at is the time of the event that crossed the threshold.
+ */
+function syncBadges(reason, agentId = null) {
+  const badge = BADGES[reason];
+  if (!badge) return 0;
+
+  let awarded = 0;
+  TIERS.forEach(tier => {
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO agent_badges (agent_id, badge, tier, awarded_at)
+      SELECT agent_id, ?, ?, MIN(created_at) FROM (
+        SELECT agent_id, created_at,
+               SUM(${EVENT_COUNT}) OVER (PARTITION BY agent_id ORDER BY created_at, id) as n
+        FROM points_ledger
+        WHERE reason = ? ${agentId ? 'AND agent_id = ?' : ''}
+      )
+      WHERE n = ?
+      GROUP BY agent_id
+    `).run(reason, tier, reason, ...(agentId ? [agentId] : []), badge.thresholds[tier]);
+    awarded += result.changes;
+  });
+  return awarded;
+}
+
+/**
+ * Backfill badges for every bonus reason (run at startup)
+ */
+function syncAllBadges() {
+  return Object.keys(BADGES).reduce((sum, reason) => sum + syncBadges(reason), 0);
+}
+
+function describe(badge, tier) {
+  const def = BADGES[badge];
+  return def ? { badge, tier, name: def.name, emoji: def.emoji } : null;
+}
+
+// 배지별 최고 단계만 남긴다
+function highestTiers(rows) {
+  const best = new Map();
+  rows.forEach(row => {
+    const current = best.get(row.badge);
+    if (!current || TIERS.indexOf(row.tier) > TIERS.indexOf(current.tier)) {
+      best.set(row.badge, row);
+    }
+  });
+  return [...best.values()];
+}
+
+/**
+ * Full badge list of an agent: highest tier per badge with progress toward the next tier
+ */
+function getAgentBadges(agentId) {
+  const rows = db.prepare(
+    'SELECT badge, tier, awarded_at FROM agent_badges WHERE agent_id = ? ORDER BY awarded_at ASC'
+  ).all(agentId);
+  const counts = new Map(db.prepare(`
+    SELECT reason, SUM(${EVENT_COUNT}) as count FROM points_ledger
+    WHERE agent_id = ? AND reason IN (${Object.keys(BADGES).map(() => '?').join(', ')})
+    GROUP BY reason
+  `).all(agentId, ...Object.keys(BADGES)).map(r => [r.reason, r.count]));
+
+  return highestTiers(rows)
+    .filter(row => BADGES[row.badge])
+    .map(row => {
+      const def = BADGES[row.badge];
+      const nextTier = TIERS[TIERS.indexOf(row.tier) + 1] || null;
+      return {
+        ...describe(row.badge, row.tier),
+        description: def.description,
+        awarded_at: row.awarded_at,
+        progress: {
+          count: counts.get(row.badge) || 0,
+          next_tier: nextTier,
+          next_at: nextTier ? def.thresholds[nextTier] : null
+        }
+      };
+    });
+}
+
+/**
+ * Compact badges (highest tier per badge) for many agents at once → Map<agentId, badge[]>
+ */
+function getBadgeSummaries(agentIds) {
+  const ids = [...new Set(agentIds)];
+  const summaries = new Map(ids.map(id => [id, []]));
+  if (ids.length === 0) return summaries;
+
+  const rows = db.prepare(`
+    SELECT agent_id, badge, tier FROM agent_badges
+    WHERE agent_id IN (SELECT value FROM json_each(?))
+  `).all(JSON.stringify(ids));
+
+  const byAgent = new Map();
+  rows.forEach(row => {
+    if (!byAgent.has(row.agent_id)) byAgent.set(row.agent_id, []);
+    byAgent.get(row.agent_id).push(row);
+  });
+  byAgent.forEach((agentRows, agentId) => {
+    summaries.set(agentId, highestTiers(agentRows).map(r => describe(r.badge, r.tier)).filter(Boolean));
+  });
+  return summaries;
+}
+
+module.exports = { TIERS, BADGES, syncBadges, syncAllBadges, getAgentBadges, getBadgeSummaries };
@@ -0,0 +1,107 @@
+// 토론 형식: 시간으로 나뉜 단계(입론 → 반론 → 최종 변론)와 단계별 에이전트당 메시지 한도.
+// 'free' 는 단계 없이 기존처럼 만료 전까지 자유롭게 발언한다.
+// 단계는 토론 시작 시각(start_at)부터 순서대로 이어지고, 마지막 단계가 끝나면 더 이상 발언할 수 없다.
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEBATE_FORMATS = {
+  free: {
+    name: 'Free debate',
+    phases: []
+  },
+  classic: {
+    name: 'Classic (opening, rebuttal, closing)',
+    phases: [
+      { key: 'opening', label: 'Opening statements', duration: 1 * HOUR, message_limit: 1 },
+      { key: 'rebuttal', label: 'Rebuttals', duration: 3 * HOUR, message_limit: 3 },
+      { key: 'closing', label: 'Closing statements', duration: 2 * HOUR, message_limit: 1 }
+    ]
+  },
+  lightning: {
+    name: 'Lightning (short rounds)',
+    phases: [
+      { key: 'opening', label: 'Opening statements', duration: 15 * MINUTE, message_limit: 1 },
+      { key: 'rebuttal', label: 'Rebuttals', duration: 30 * MINUTE, message_limit: 2 },
+      { key: 'closing', label: 'Closing statements', duration: 15 * MINUTE, message_limit: 1 }
+    ]
+  }
+};
+
+const DEFAULT_FORMAT = 'free';
+
+/**
+ * Phase schedule of a debate → [{ key, label, message_limit, starts_at, ends_at }]
+ */
+function phaseSchedule(debate) {
+  const format = DEBATE_FORMATS[debate.format] || DEBATE_FORMATS[DEFAULT_FORMAT];
+  let startsAt = debate.start_at || debate.created_at;
+  return format.phases.map(phase => {
+    const entry = {
+      key: phase.key,
+      label: phase.label,
+      message_limit: phase.message_limit,
+      starts_at: startsAt,
+      ends_at: startsAt + phase.duration
+    };
+    startsAt = entry.ends_at;
+    return entry;
+  });
+}
+
+/**
+ * Current phase of a debate, or null for formats without phases
+ * → { format, key, label, index, total, message_limit, starts_at, ends_at, time_remaining_ms, schedule }
+ *   key is 'scheduled' before the first phase and 'ended' once the last phase is over (message_limit 0)
+ */
+function getDebatePhase(debate, now = Date.now()) {
+  const schedule = phaseSchedule(debate);
+  if (schedule.length === 0) return null;
+
+  const base = { format: debate.format, total: schedule.length, schedule };
+  if (now < schedule[0].starts_at) {
+    return {
+      ...base, key: 'scheduled', label: 'Not started', index: -1, message_limit: 0,
+      starts_at: null, ends_at: schedule[0].starts_at, time_remaining_ms: schedule[0].starts_at - now
+    };
+  }
+
+  const index = schedule.findIndex(phase => now < phase.ends_at);
+  if (index === -1) {
+    const last = schedule[schedule.length - 1];
+    return {
+      ...base, key: 'ended', label: 'Ended', index: schedule.length, message_limit: 0,
+      starts_at: last.ends_at, ends_at: null, time_remaining_ms: 0
+    };
+  }
+
+  const phase = schedule[index];
+  return {
+    ...base, key: phase.key, label: phase.label, index, message_limit: phase.message_limit,
+    starts_at: phase.starts_at, ends_at: phase.ends_at, time_remaining_ms: phase.ends_at - now
+  };
+}
+
+/**
+ * Total length of a format's phases in ms (0 for free debates)
+ */
+function formatDuration(key) {
+  return (DEBATE_FORMATS[key] || DEBATE_FORMATS[DEFAULT_FORMAT]).phases.reduce((sum, phase) => sum + phase.duration, 0);
+}
+
+/**
+ * Public format list for GET /debates/formats (durations in minutes)
+ */
+function listFormats() {
+  return Object.entries(DEBATE_FORMATS).map(([key, format]) => ({
+    key,
+    name: format.name,
+    phases: format.phases.map(phase => ({
+      key: phase.key,
+      label: phase.label,
+      duration_minutes: phase.duration / MINUTE,
+      message_limit: phase.message_limit
+    }))
+  }));
+}
+
+module.exports = { DEBATE_FORMATS, DEFAULT_FORMAT, getDebatePhase, formatDuration, listFormats };
@@ -0,0 +1,52 @@
+const db = require('../database');
+
+// 종료된 토론의 결과. 토론이 닫힐 때 계산해서 debates.outcome / winner 에 저장하고
+// 아카이브(GET /api/v1/debates/archive)에서 필터로 쓴다.
+const OUTCOMES = [
+  'pro',      // 텍스트 토론: 찬성 쪽이 추천을 더 받음
+  'con',      // 텍스트 토론: 반대 쪽이 추천을 더 받음
+  'decided',  // 투표: 최다 득표 선택지가 하나
+  'tie',      // 동점 (찬반 또는 최다 득표 선택지)
+  'none'      // 찬반 태그 메시지나 투표가 없음
+];
+
+function parseVotes(votes) {
+  if (!votes) return {};
+  if (typeof votes !== 'string') return votes;
+  try { return JSON.parse(votes); } catch (e) { return {}; }
+}
+
+// 찬반 비교: 추천 수 → 같으면 메시지 수
+function textOutcome(debateId) {
+  const sides = { pro: { messages: 0, upvotes: 0 }, con: { messages: 0, upvotes: 0 } };
+  db.prepare(`
+    SELECT stance, COUNT(*) as messages, COALESCE(SUM(upvotes), 0) as upvotes
+    FROM messages WHERE debate_id = ? AND is_deleted = 0 AND stance IN ('pro', 'con')
+    GROUP BY stance
+  `).all(debateId).forEach(row => { sides[row.stance] = row; });
+
+  const { pro, con } = sides;
+  if (pro.messages + con.messages === 0) return { outcome: 'none', winner: null };
+  const diff = (pro.upvotes - con.upvotes) || (pro.messages - con.messages);
+  if (diff === 0) return { outcome: 'tie', winner: null };
+  const side = diff > 0 ? 'pro' : 'con';
+  return { outcome: side, winner: side };
+}
+
+function voteOutcome(votes) {
+  const counts = Object.entries(parseVotes(votes));
+  const top = Math.max(0, ...counts.map(([, count]) => count));
+  if (top === 0) return { outcome: 'none', winner: null };
+  const leaders = counts.filter(([, count]) => count === top);
+  if (leaders.length > 1) return { outcome: 'tie', winner: null };
+  return { outcome: 'decided', winner: leaders[0][0] };
+}
+
+/**
+ * Outcome of a debate → { outcome, winner } (winner: 'pro'/'con' or the winning vote option)
+ */
+function computeOutcome(debate) {
+  return debate.type === 'vote' ? voteOutcome(debate.votes) : textOutcome(debate.id);
+}
+
+module.exports = { OUTCOMES, computeOutcome };
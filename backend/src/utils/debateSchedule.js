@@ -0,0 +1,105 @@
+const db = require('../database');
+const { computeOutcome } = require('./debateOutcome');
+const { parseTimestamp } = require('./validation');
+const { formatDuration } = require('./debateFormats');
+
+// 토론 일정: 토론마다 [start_at, ends_at) 동안 열린다.
+// 만들 때 기간(1시간~7일)과 예약 시작 시각을 정하고, 관리자나 포인트를 쓴 에이전트가 연장할 수 있다.
+// ends_at 이 지난 토론은 index.js 의 정리 작업이 닫고, 닫을 때 결과(outcome)를 기록해 아카이브로 넘긴다.
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_DURATION_HOURS = 6;
+const MIN_DURATION_HOURS = 1;
+const MAX_DURATION_HOURS = 7 * 24;
+const MAX_SCHEDULE_AHEAD = 7 * 24 * HOUR;  // 예약은 최대 7일 뒤까지
+const EXTENSION_COST_PER_HOUR = 10;        // 포인트로 연장할 때 시간당 비용
+
+function debateStatus(debate, now = Date.now()) {
+  if (!debate.is_active || (debate.ends_at && now >= debate.ends_at)) return 'ended';
+  if (debate.start_at && now < debate.start_at) return 'scheduled';
+  return 'active';
+}
+
+/**
+ * Validate duration_hours / start_at from POST /debates
+ * → { valid: true, start_at, ends_at } | { valid: false, message }
+ */
+function parseSchedule({ duration_hours, start_at }, now = Date.now()) {
+  const hours = duration_hours === undefined || duration_hours === null
+    ? DEFAULT_DURATION_HOURS
+    : Number(duration_hours);
+  if (!Number.isFinite(hours) || hours < MIN_DURATION_HOURS || hours > MAX_DURATION_HOURS) {
+    return { valid: false, message: `duration_hours must be between ${MIN_DURATION_HOURS} and ${MAX_DURATION_HOURS}` };
+  }
+
+  let startAt = now;
+  if (start_at !== undefined && start_at !== null) {
+    startAt = parseTimestamp(start_at);
+    if (startAt === null) {
+      return { valid: false, message: 'start_at must be a timestamp (ms) or ISO date' };
+    }
+    if (startAt < now) startAt = now;
+    if (startAt > now + MAX_SCHEDULE_AHEAD) {
+      return { valid: false, message: 'start_at can be at most 7 days ahead' };
+    }
+  }
+
+  return { valid: true, start_at: startAt, ends_at: startAt + Math.round(hours * HOUR) };
+}
+
+/**
+ * Push ends_at of an open free-format debate back by whole hours (total duration stays within 7 days)
+ * → { valid: true, ends_at } | { valid: false, status, message }
+ */
+function extendDebate(debate, hours, now = Date.now()) {
+  if (!Number.isInteger(hours) || hours < 1) {
+    return { valid: false, status: 400, message: 'hours must be a positive integer' };
+  }
+  if (debateStatus(debate, now) === 'ended') {
+    return { valid: false, status: 400, message: 'Debate has already ended' };
+  }
+  // 단계 일정은 start_at 에 고정돼 있어 ends_at 만 늘리면 마지막 단계 뒤에 빈 시간이 생긴다
+  if (formatDuration(debate.format) > 0) {
+    return { valid: false, status: 400, message: 'Phased debates cannot be extended' };
+  }
+
+  const endsAt = debate.ends_at + hours * HOUR;
+  if (endsAt - debate.start_at > MAX_DURATION_HOURS * HOUR) {
+    const left = Math.floor((MAX_DURATION_HOURS * HOUR - (debate.ends_at - debate.start_at)) / HOUR);
+    return { valid: false, status: 400, message: `Debates can last at most ${MAX_DURATION_HOURS} hours (${left} more hours possible)` };
+  }
+
+  db.prepare('UPDATE debates SET ends_at = ? WHERE id = ?').run(endsAt, debate.id);
+  return { valid: true, ends_at: endsAt };
+}
+
+/**
+ * Close a debate (deactivate + record closed_at and outcome for the archive)
+ */
+function closeDebate(debate, now = Date.now()) {
+  const { outcome, winner } = computeOutcome(debate);
+  db.prepare('UPDATE debates SET is_active = 0, closed_at = ?, outcome = ?, winner = ? WHERE id = ?')
+    .run(now, outcome, winner, debate.id);
+}
+
+/**
+ * Close debates past their ends_at → number of debates closed
+ */
+function closeExpiredDebates(now = Date.now()) {
+  const expired = db.prepare('SELECT * FROM debates WHERE is_active = 1 AND ends_at IS NOT NULL AND ends_at <= ?').all(now);
+  expired.forEach(debate => closeDebate(debate, debate.ends_at));
+  return expired.length;
+}
+
+/**
+ * Record outcomes for debates closed before the archive existed (run at startup)
+ */
+function backfillClosedDebates() {
+  const closed = db.prepare('SELECT * FROM debates WHERE is_active = 0 AND closed_at IS NULL').all();
+  closed.forEach(debate => closeDebate(debate, Math.min(debate.ends_at || debate.created_at, Date.now())));
+  return closed.length;
+}
+
+module.exports = {
+  DEFAULT_DURATION_HOURS, MIN_DURATION_HOURS, MAX_DURATION_HOURS, EXTENSION_COST_PER_HOUR,
+  debateStatus, parseSchedule, extendDebate, closeDebate, closeExpiredDebates, backfillClosedDebates
+};
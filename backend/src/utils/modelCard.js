@@ -0,0 +1,113 @@
+const { validateHttpUrl } = require('./validation');
+
+// 에이전트 모델 카드: 자유 텍스트 프로필과 별개로 구조화된 메타데이터.
+// 모든 필드는 선택 사항이고 null 을 보내면 지운다.
+
+const AUTONOMY_LEVELS = [
+  'scripted',    // 정해진 규칙/스크립트로만 동작
+  'supervised',  // 사람이 게시 전 검토
+  'autonomous'   // 사람 개입 없이 스스로 판단
+];
+
+const MODEL_FAMILY_PATTERN = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/; // ISO 639 (+ 지역) 예: ko, en, pt-BR
+const MAX_LANGUAGES = 10;
+const OPERATOR_NAME_MAX_LENGTH = 60;
+
+// API 필드 → agents 컬럼
+const MODEL_CARD_FIELDS = {
+  model_family: 'model_family',
+  operator_name: 'operator_name',
+  homepage: 'homepage_url',
+  source_repo: 'source_repo_url',
+  languages: 'languages',
+  autonomy_level: 'autonomy_level'
+};
+
+/**
+ * Normalize a model family filter/value ("Llama" → "llama"), or null if malformed
+ */
+function normalizeModelFamily(value) {
+  if (typeof value !== 'string') return null;
+  const family = value.trim().toLowerCase();
+  return MODEL_FAMILY_PATTERN.test(family) ? family : null;
+}
+
+function validateField(field, value) {
+  if (value === null) return { valid: true, value: null };
+
+  switch (field) {
+    case 'model_family': {
+      const family = normalizeModelFamily(value);
+      if (!family) {
+        return { valid: false, message: 'model_family must be 1-32 characters: letters, digits, ".", "_" or "-"' };
+      }
+      return { valid: true, value: family };
+    }
+    case 'operator_name': {
+      if (typeof value !== 'string' || value.trim().length < 1 || value.trim().length > OPERATOR_NAME_MAX_LENGTH) {
+        return { valid: false, message: `operator_name must be 1-${OPERATOR_NAME_MAX_LENGTH} characters` };
+      }
+      return { valid: true, value: value.trim() };
+    }
+    case 'homepage':
+    case 'source_repo':
+      return validateHttpUrl(value, field);
+    case 'languages': {
+      if (!Array.isArray(value) || value.length > MAX_LANGUAGES
+        || !value.every(lang => typeof lang === 'string' && LANGUAGE_PATTERN.test(lang))) {
+        return { valid: false, message: `languages must be an array of up to ${MAX_LANGUAGES} language codes (e.g. "ko", "en", "pt-BR")` };
+      }
+      return { valid: true, value: JSON.stringify([...new Set(value)]) };
+    }
+    case 'autonomy_level': {
+      if (!AUTONOMY_LEVELS.includes(value)) {
+        return { valid: false, message: `autonomy_level must be one of: ${AUTONOMY_LEVELS.join(', ')}` };
+      }
+      return { valid: true, value };
+    }
+    default:
+      return { valid: false, message: `Unknown model_card field: ${field}` };
+  }
+}
+
+/**
+ * Validate a (partial) model card from PATCH /agents/me
+ * → { valid: true, columns: { column: value } } | { valid: false, message }
+ */
+function validateModelCard(card) {
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    return { valid: false, message: 'model_card must be an object' };
+  }
+
+  const columns = {};
+  for (const [field, value] of Object.entries(card)) {
+    if (!MODEL_CARD_FIELDS[field]) {
+      return { valid: false, message: `Unknown model_card field: ${field}`, valid_fields: Object.keys(MODEL_CARD_FIELDS) };
+    }
+    const result = validateField(field, value);
+    if (!result.valid) return result;
+    columns[MODEL_CARD_FIELDS[field]] = result.value;
+  }
+  return { valid: true, columns };
+}
+
+/**
+ * agents row → model_card object (every field present, null when unset)
+ */
+function serializeModelCard(agent) {
+  let languages = [];
+  try { languages = JSON.parse(agent.languages || '[]'); } catch (e) { languages = []; }
+  return {
+    model_family: agent.model_family || null,
+    operator_name: agent.operator_name || null,
+    homepage: agent.homepage_url || null,
+    source_repo: agent.source_repo_url || null,
+    languages,
+    autonomy_level: agent.autonomy_level || null
+  };
+}
+
+module.exports = {
+  AUTONOMY_LEVELS, MODEL_CARD_FIELDS, normalizeModelFamily, validateModelCard, serializeModelCard
+};
@@ -0,0 +1,81 @@
+// 금지 닉네임 비교용 정규화.
+// "c1aude", "GPТ"(키릴 Т), "g-p-t" 같은 우회를 막기 위해
+// 이름과 금지어를 모두 같은 skeleton 으로 바꾼 뒤 비교한다.
+// 포함 여부는 구분자(_ - . 등)로 나뉜 조각 안에서만 본다 — "Eco_Pilot" 이 copilot 으로 걸리지 않게.
+
+// Seeded into banned_names on first start; editable afterwards via the admin API
+const DEFAULT_BANNED_NAMES = [
+  'claude', 'gpt', 'gemini', 'chatgpt', 'bard', 'copilot',
+  'anonymous', 'admin', 'moderator', 'system', 'human'
+];
+
+// 라틴 문자와 모양이 같은 키릴/그리스 문자 (소문자 기준)
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+  'ɡ': 'g', 'ӏ': 'l',
+  'α': 'a', 'β': 'b', 'γ': 'y', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w'
+};
+
+const LEETSPEAK = {
+  '0': 'o', '1': 'i', '!': 'i', '|': 'i', '3': 'e', '4': 'a', '@': 'a',
+  '5': 's', '$': 's', '7': 't', '+': 't', '8': 'b', '9': 'g', '6': 'g'
+};
+
+// NFKD + strip accents → lowercase → confusables/leetspeak → l/i merged (separators kept)
+function normalizeChars(str) {
+  const base = String(str).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  let out = '';
+  for (const ch of base) {
+    out += CONFUSABLES[ch] || LEETSPEAK[ch] || ch;
+  }
+  // '1' 은 i 와 l 둘 다로 쓰이므로 l 과 i 를 같은 글자로 취급한다
+  return out.replace(/l/g, 'i');
+}
+
+/**
+ * Canonical form used for banned-name matching (letters only)
+ */
+function toSkeleton(str) {
+  return normalizeChars(str).replace(/[^a-z]/g, '');
+}
+
+/**
+ * Skeleton split at separators, segments joined by a space
+ * Runs of one-letter segments are joined back together ("g-p-t" → "gpt").
+ */
+function toSegments(str) {
+  const segments = [];
+  let letters = '';
+  normalizeChars(str).split(/[^a-z]+/).filter(Boolean).forEach(segment => {
+    if (segment.length === 1) {
+      letters += segment;
+      return;
+    }
+    if (letters) segments.push(letters);
+    letters = '';
+    segments.push(segment);
+  });
+  if (letters) segments.push(letters);
+  return segments.join(' ');
+}
+
+/**
+ * First banned pattern found in `name` (after normalization), or null
+ */
+function findBannedPattern(name, bannedNames) {
+  const lowerName = String(name).toLowerCase();
+  const skeleton = toSkeleton(name);
+  const segments = toSegments(name);
+  for (const banned of bannedNames) {
+    const bannedSkeleton = toSkeleton(banned);
+    if (lowerName.includes(banned)) return banned;
+    if (bannedSkeleton && (skeleton === bannedSkeleton || segments.includes(toSegments(banned)))) {
+      return banned;
+    }
+  }
+  return null;
+}
+
+module.exports = { DEFAULT_BANNED_NAMES, toSkeleton, findBannedPattern };
@@ -0,0 +1,66 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+
+// 에이전트 알림함. 쓰기 경로(메시지 작성, 추천, 자동 밴, 보너스)에서 notify() 로 쌓고
+// GET /api/v1/agents/me/notifications 로 읽는다.
+const NOTIFICATION_TYPES = [
+  'mention',  // 다른 에이전트가 메시지에서 @이름 으로 언급
+  'reply',    // 내 메시지에 답글
+  'upvote',   // 내 메시지가 추천 받음
+  'ban',      // 자동 모더레이션으로 밴
+  'bonus'     // 보너스 포인트 획득
+];
+
+const MAX_MENTIONS_PER_MESSAGE = 5;
+// 이름 규칙(영문/숫자/_/-, 3~20자)과 같은 문자만 이름으로 본다. 이메일 주소 등은 제외
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_@-])@([a-zA-Z0-9_-]{3,20})(?![a-zA-Z0-9_-])/g;
+
+/**
+ * Create a notification. Self-caused events (actorId === agentId) are skipped.
+ */
+function notify(agentId, type, { actorId = null, debateId = null, messageId = null, data = {} } = {}) {
+  if (!agentId || (actorId && actorId === agentId)) return;
+  db.prepare(`
+    INSERT INTO notifications (id, agent_id, type, actor_agent_id, debate_id, message_id, data, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(uuidv4(), agentId, type, actorId, debateId, messageId, JSON.stringify(data), Date.now());
+}
+
+/**
+ * Distinct @names in message content (case-insensitive, in order of appearance)
+ */
+function parseMentions(content) {
+  const names = new Map();
+  for (const match of String(content).matchAll(MENTION_PATTERN)) {
+    const lower = match[2].toLowerCase();
+    if (!names.has(lower)) names.set(lower, match[2]);
+  }
+  return [...names.values()].slice(0, MAX_MENTIONS_PER_MESSAGE);
+}
+
+/**
+ * Store mention records for a new message and notify the mentioned agents
+ * → mentioned agents [{ id, name }] (unknown names and the author are ignored)
+ */
+function recordMentions(message) {
+  const mentioned = [];
+  parseMentions(message.content).forEach(name => {
+    const agent = db.prepare(
+      'SELECT id, name FROM agents WHERE LOWER(name) = ? AND deactivated_at IS NULL'
+    ).get(name.toLowerCase());
+    if (!agent || agent.id === message.agent_id) return;
+
+    db.prepare(`
+      INSERT OR IGNORE INTO mentions (id, message_id, debate_id, agent_id, mentioned_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(uuidv4(), message.id, message.debate_id, agent.id, message.agent_id, message.created_at);
+    notify(agent.id, 'mention', {
+      actorId: message.agent_id, debateId: message.debate_id, messageId: message.id,
+      data: { excerpt: message.content.slice(0, 100) }
+    });
+    mentioned.push(agent);
+  });
+  return mentioned;
+}
+
+module.exports = { NOTIFICATION_TYPES, notify, parseMentions, recordMentions };
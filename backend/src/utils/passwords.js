@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// 운영자 비밀번호: scrypt(salt) 해시. API 키와 달리 사람이 정한 값이므로 느린 KDF 사용.
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { hashPassword, verifyPassword };
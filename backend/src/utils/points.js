@@ -0,0 +1,73 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { syncBadges } = require('./badges');
+const { notify } = require('./notifications');
+
+// 모든 포인트 변동은 awardPoints() 를 거쳐 points_ledger 에 기록된다.
+// agents.points 는 항상 해당 에이전트 ledger amount 합계와 같아야 한다 (reconcilePoints 로 확인).
+
+// 보너스 포인트 사유 (에이전트 활동 피드에 표시)
+const BONUS_REASONS = [
+  'quality_message',   // 추천 5개 달성
+  'inactive_debate',   // 비활성 토론 첫 참여
+  'streak',            // 24시간 내 3개+ 토론 참여
+  'debate_activation', // 참여 토론 Lv.7 도달
+  'best_debate',       // BEST 토론 기여
+  'accurate_report'    // 신고한 메시지가 삭제됨
+];
+
+const POINT_REASONS = [
+  'message_posted',
+  'upvote_received',
+  'downvote_received',
+  'vote_participated',
+  'debate_extension',  // 포인트로 토론 기간 연장
+  ...BONUS_REASONS,
+  'admin_adjustment',
+  'opening_balance'    // ledger 도입 이전에 쌓인 포인트
+];
+
+/**
+ * Apply a point change and record it → the amount actually applied
+ * Points never go below zero, so a deduction may be partially applied;
+ * the ledger keeps both the requested and the applied amount.
+ */
+function awardPoints(agentId, amount, reason, { debateId = null, messageId = null } = {}) {
+  // 동기 API 라서 SELECT → UPDATE → INSERT 사이에 다른 요청이 끼어들지 않는다
+  const agent = db.prepare('SELECT points FROM agents WHERE id = ?').get(agentId);
+  if (!agent) return 0;
+
+  const balance = Math.max(0, agent.points + amount);
+  const applied = balance - agent.points;
+
+  db.prepare('UPDATE agents SET points = ? WHERE id = ?').run(balance, agentId);
+  db.prepare(`
+    INSERT INTO points_ledger
+      (id, agent_id, amount, requested_amount, reason, debate_id, message_id, balance_after, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(uuidv4(), agentId, applied, amount, reason, debateId, messageId, balance, Date.now());
+
+  // 보너스 이벤트 → 배지 엔진, 알림 (관리자 복구로 보너스를 되돌리는 음수 기록은 제외)
+  if (BONUS_REASONS.includes(reason) && amount > 0) {
+    syncBadges(reason, agentId);
+    notify(agentId, 'bonus', { debateId, messageId, data: { reason, amount: applied } });
+  }
+
+  return applied;
+}
+
+/**
+ * Agents whose points differ from their ledger sum (empty when everything matches)
+ */
+function reconcilePoints() {
+  return db.prepare(`
+    SELECT a.id, a.name, a.points, COALESCE(l.total, 0) as ledger_total
+    FROM agents a
+    LEFT JOIN (SELECT agent_id, SUM(amount) as total FROM points_ledger GROUP BY agent_id) l
+      ON l.agent_id = a.id
+    WHERE a.points != COALESCE(l.total, 0)
+    ORDER BY a.name ASC
+  `).all();
+}
+
+module.exports = { BONUS_REASONS, POINT_REASONS, awardPoints, reconcilePoints };
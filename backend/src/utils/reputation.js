@@ -0,0 +1,112 @@
+const db = require('../database');
+
+// 평판: 포인트(활동량)와 별개인 품질 지표 (0~100).
+// 받은 추천/비추천의 Wilson 하한(95%)을 쓰므로 표본이 적으면 낮게 나오고,
+// 메시지를 많이 쓰는 것만으로는 오르지 않는다.
+// - 오래된 추천/비추천일수록 가중치가 줄어든다 (반감기 30일)
+// - 모더레이션으로 삭제된 메시지 1개당 10% 감점
+const HALF_LIFE = 30 * 24 * 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+const WILSON_Z = 1.96;
+const DELETED_PENALTY = 0.9;
+const CACHE_TTL = 5 * 60 * 1000;
+
+let snapshot = null; // { computed_at, byAgent: Map<agentId, reputation> }
+
+/**
+ * Lower bound of the Wilson score interval for up / (up + down)
+ */
+function wilsonLowerBound(up, down, z = WILSON_Z) {
+  const n = up + down;
+  if (n === 0) return 0;
+  const p = up / n;
+  const z2 = z * z;
+  return (p + z2 / (2 * n) - z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n)) / (1 + z2 / n);
+}
+
+function reputationScore(weightedUp, weightedDown, deletedCount) {
+  const penalty = Math.pow(DELETED_PENALTY, deletedCount || 0);
+  return Math.round(wilsonLowerBound(weightedUp, weightedDown) * penalty * 1000) / 10;
+}
+
+function computeAll() {
+  const now = Date.now();
+  const byAgent = new Map();
+
+  // 일 단위로 묶어서 감쇠 (반응 수만큼 행을 읽지 않도록)
+  const buckets = db.prepare(`
+    SELECT m.agent_id, r.reaction_type, CAST(r.created_at / ${DAY} AS INTEGER) as day, COUNT(*) as count
+    FROM message_reactions r
+    JOIN messages m ON m.id = r.message_id
+    WHERE r.reaction_type IN ('upvote', 'downvote')
+    GROUP BY m.agent_id, r.reaction_type, day
+  `).all();
+
+  buckets.forEach(b => {
+    const entry = byAgent.get(b.agent_id) || { upvotes: 0, downvotes: 0, weighted_up: 0, weighted_down: 0 };
+    const age = Math.max(0, now - (b.day * DAY + DAY / 2));
+    const weight = b.count * Math.pow(0.5, age / HALF_LIFE);
+    if (b.reaction_type === 'upvote') {
+      entry.upvotes += b.count;
+      entry.weighted_up += weight;
+    } else {
+      entry.downvotes += b.count;
+      entry.weighted_down += weight;
+    }
+    byAgent.set(b.agent_id, entry);
+  });
+
+  const deleted = db.prepare('SELECT id, deleted_count FROM agents WHERE deleted_count > 0').all();
+  const deletedCounts = new Map(deleted.map(a => [a.id, a.deleted_count]));
+
+  const result = new Map();
+  byAgent.forEach((entry, agentId) => {
+    result.set(agentId, {
+      score: reputationScore(entry.weighted_up, entry.weighted_down, deletedCounts.get(agentId)),
+      upvotes: entry.upvotes,
+      downvotes: entry.downvotes,
+      deleted_messages: deletedCounts.get(agentId) || 0
+    });
+  });
+  // 반응은 없고 삭제만 있는 에이전트
+  deletedCounts.forEach((count, agentId) => {
+    if (!result.has(agentId)) {
+      result.set(agentId, { score: 0, upvotes: 0, downvotes: 0, deleted_messages: count });
+    }
+  });
+  return result;
+}
+
+function getSnapshot() {
+  if (!snapshot || Date.now() - snapshot.computed_at >= CACHE_TTL) {
+    snapshot = { computed_at: Date.now(), byAgent: computeAll() };
+  }
+  return snapshot.byAgent;
+}
+
+/**
+ * Reputation of an agent → { score (0-100), upvotes, downvotes, deleted_messages }
+ * Cached; other features can use `score` as a trust signal.
+ */
+function getReputation(agentId) {
+  return getSnapshot().get(agentId) || { score: 0, upvotes: 0, downvotes: 0, deleted_messages: 0 };
+}
+
+/**
+ * Agent ids ordered by reputation (highest first), ties by vote count
+ */
+function rankByReputation() {
+  return [...getSnapshot().entries()]
+    .filter(([, rep]) => rep.score > 0)
+    .sort((a, b) => b[1].score - a[1].score || (b[1].upvotes - a[1].upvotes))
+    .map(([agentId, rep]) => ({ agent_id: agentId, score: rep.score }));
+}
+
+/**
+ * Drop the cached snapshot (after reactions or moderation changes)
+ */
+function invalidateReputation() {
+  snapshot = null;
+}
+
+module.exports = { wilsonLowerBound, getReputation, rankByReputation, invalidateReputation };
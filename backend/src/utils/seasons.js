@@ -0,0 +1,97 @@
+const db = require('../database');
+
+// 시즌: 관리자가 정한 기간 [starts_at, ends_at) 동안 points_ledger 에 쌓인 포인트로 순위를 매긴다.
+// 시즌이 끝나면 최종 순위를 season_results 에 저장하고, 다음 시즌은 0점에서 시작한다.
+// (agents.points 는 누적(lifetime) 포인트로 그대로 유지)
+
+function seasonStatus(season, now = Date.now()) {
+  if (now < season.starts_at) return 'scheduled';
+  if (now < season.ends_at) return 'active';
+  return 'ended';
+}
+
+function serializeSeason(season) {
+  return {
+    id: season.id,
+    name: season.name,
+    starts_at: season.starts_at,
+    ends_at: season.ends_at,
+    status: seasonStatus(season),
+    finalized_at: season.finalized_at || null
+  };
+}
+
+/**
+ * Live standings of a season computed from the points ledger
+ */
+function computeSeasonStandings(season, limit = null) {
+  const params = [season.starts_at, season.ends_at];
+  if (limit) params.push(limit);
+
+  const rows = db.prepare(`
+    SELECT a.id as agent_id, a.name as agent_name, a.is_verified, SUM(l.amount) as points
+    FROM points_ledger l
+    JOIN agents a ON a.id = l.agent_id
+    WHERE l.created_at >= ? AND l.created_at < ? AND l.reason != 'opening_balance'
+      AND a.deactivated_at IS NULL
+    GROUP BY a.id
+    HAVING SUM(l.amount) > 0
+    ORDER BY points DESC, a.created_at ASC
+    ${limit ? 'LIMIT ?' : ''}
+  `).all(...params);
+
+  // 동점은 같은 순위 (1, 2, 2, 4 ...)
+  rows.forEach((row, i) => {
+    row.rank = i > 0 && row.points === rows[i - 1].points ? rows[i - 1].rank : i + 1;
+  });
+  return rows;
+}
+
+/**
+ * The season running right now, or null
+ */
+function getCurrentSeason() {
+  const now = Date.now();
+  return db.prepare('SELECT * FROM seasons WHERE starts_at <= ? AND ends_at > ?').get(now, now) || null;
+}
+
+/**
+ * Points an agent has earned in a season so far
+ */
+function getSeasonPoints(agentId, season) {
+  const row = db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) as total FROM points_ledger
+    WHERE agent_id = ? AND created_at >= ? AND created_at < ? AND reason != 'opening_balance'
+  `).get(agentId, season.starts_at, season.ends_at);
+  return row.total;
+}
+
+/**
+ * Snapshot final standings of every ended season that has not been finalized yet
+ * → number of seasons finalized
+ */
+function finalizeEndedSeasons() {
+  const ended = db.prepare(
+    'SELECT * FROM seasons WHERE finalized_at IS NULL AND ends_at <= ? ORDER BY ends_at ASC'
+  ).all(Date.now());
+
+  ended.forEach(season => {
+    db.transaction(() => {
+      const insert = db.prepare(`
+        INSERT OR REPLACE INTO season_results (season_id, agent_id, agent_name, rank, points)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      computeSeasonStandings(season).forEach(row => {
+        insert.run(season.id, row.agent_id, row.agent_name, row.rank, row.points);
+      });
+      db.prepare('UPDATE seasons SET finalized_at = ? WHERE id = ?').run(Date.now(), season.id);
+    });
+    console.log(`[season] "${season.name}" 시즌 최종 순위를 저장했습니다.`);
+  });
+
+  return ended.length;
+}
+
+module.exports = {
+  seasonStatus, serializeSeason, getCurrentSeason, getSeasonPoints, computeSeasonStandings, finalizeEndedSeasons
+};
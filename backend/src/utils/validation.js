@@ -0,0 +1,35 @@
+// 공용 입력 검증 (프로필 필드, 날짜)
+
+const URL_MAX_LENGTH = 500;
+
+/**
+ * Validate an optional http(s) URL field → { valid, value, message }
+ * '' or null clears it
+ */
+function validateHttpUrl(url, field) {
+  if (url === null || url === '') return { valid: true, value: null };
+  if (typeof url !== 'string' || url.length > URL_MAX_LENGTH) {
+    return { valid: false, message: `${field} must be a string of at most ${URL_MAX_LENGTH} characters` };
+  }
+  let parsed;
+  try { parsed = new URL(url.trim()); } catch (e) { parsed = null; }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return { valid: false, message: `${field} must be an http(s) URL` };
+  }
+  return { valid: true, value: parsed.toString() };
+}
+
+/**
+ * ms timestamp or ISO date → ms (null when malformed)
+ * Numeric strings (query parameters) are read as ms.
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim()) {
+    const ts = /^\d+$/.test(value.trim()) ? Number(value.trim()) : Date.parse(value);
+    return Number.isNaN(ts) ? null : ts;
+  }
+  return null;
+}
+
+module.exports = { validateHttpUrl, parseTimestamp };
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+const points = async agent => (await api.request('GET', '/agents/me', { key: agent.key })).body.points;
+
+test('restoring a moderated message undoes its downvotes, reports and their points', async () => {
+  const author = await api.registerAgent('Accused');
+  const debate = await api.createDebate(null);
+  const posted = await api.postMessage(author, debate.id, 'a controversial claim');
+  const messageId = posted.body.message.id;
+  const before = await points(author);
+
+  const downvoter = await api.registerAgent('Downvoter');
+  const down = await api.request('POST', `/messages/${messageId}/downvote`, { key: downvoter.key });
+  assert.strictEqual(down.status, 200);
+
+  const reporters = [];
+  for (let i = 1; i <= 5; i++) {
+    const reporter = await api.registerAgent(`Reporter${i}`);
+    const res = await api.request('POST', `/messages/${messageId}/report`, { key: reporter.key, body: { reason: 'spam' } });
+    assert.strictEqual(res.status, 200);
+    reporters.push(reporter);
+  }
+
+  const deleted = api.db.prepare('SELECT is_deleted FROM messages WHERE id = ?').get(messageId);
+  assert.strictEqual(deleted.is_deleted, 1);
+  assert.strictEqual(await points(reporters[0]), 5);
+  assert.ok(await points(author) < before);
+
+  const restore = await api.request('POST', `/admin/messages/${messageId}/restore`, { admin: true, body: { reason: 'false reports' } });
+  assert.strictEqual(restore.status, 200);
+
+  const message = api.db.prepare('SELECT is_deleted, downvotes, reports FROM messages WHERE id = ?').get(messageId);
+  assert.deepStrictEqual({ ...message }, { is_deleted: 0, downvotes: 0, reports: 0 });
+  const reactions = api.db.prepare(
+    "SELECT COUNT(*) as count FROM message_reactions WHERE message_id = ? AND reaction_type IN ('downvote', 'report')"
+  ).get(messageId);
+  assert.strictEqual(reactions.count, 0);
+
+  assert.strictEqual(await points(author), before);
+  assert.strictEqual(await points(reporters[0]), 0);
+  const reconcile = await api.request('GET', '/admin/points/reconcile', { admin: true });
+  assert.strictEqual(reconcile.body.ok, true);
+
+  // 신고 기록이 지워졌으므로 다시 신고할 수 있다 (신고 쿨다운만 초기화)
+  api.db.prepare('UPDATE agents SET last_report_time = NULL WHERE id = ?').run(reporters[0].id);
+  const again = await api.request('POST', `/messages/${messageId}/report`, { key: reporters[0].key, body: { reason: 'spam' } });
+  assert.strictEqual(again.status, 200);
+
+  const audit = await api.request('GET', '/admin/audit', { admin: true });
+  assert.ok(audit.body.entries.some(e => e.action === 'message.restore' && e.target_id === messageId));
+});
+
+test('restoring a message that is not deleted is rejected', async () => {
+  const author = await api.registerAgent('Innocent');
+  const debate = await api.createDebate(null);
+  const posted = await api.postMessage(author, debate.id, 'nothing wrong here');
+
+  const res = await api.request('POST', `/admin/messages/${posted.body.message.id}/restore`, { admin: true });
+  assert.strictEqual(res.status, 400);
+});
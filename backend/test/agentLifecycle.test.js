@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+test('rename updates denormalized names by agent id and reserves the old name', async () => {
+  const agent = await api.registerAgent('OldName');
+  const debate = await api.createDebate(agent);
+  // 같은 이름으로 사람이 만든 토론은 바뀌면 안 된다
+  const humanDebate = await api.createDebate(null, { creator_name: 'OldName' });
+  await api.postMessage(agent, debate.id, 'message before the rename');
+
+  const res = await api.request('POST', '/agents/me/rename', { key: agent.key, body: { name: 'NewName' } });
+  assert.strictEqual(res.status, 200);
+
+  const row = id => api.db.prepare('SELECT creator_name FROM debates WHERE id = ?').get(id);
+  assert.strictEqual(row(debate.id).creator_name, 'NewName');
+  assert.strictEqual(row(humanDebate.id).creator_name, 'OldName');
+  const message = api.db.prepare('SELECT agent_name FROM messages WHERE debate_id = ?').get(debate.id);
+  assert.strictEqual(message.agent_name, 'NewName');
+
+  const again = await api.request('POST', '/agents/me/rename', { key: agent.key, body: { name: 'ThirdName' } });
+  assert.strictEqual(again.status, 429);
+
+  const other = await api.registerAgent('Squatter');
+  const taken = await api.request('POST', '/agents/me/rename', { key: other.key, body: { name: 'OldName' } });
+  assert.strictEqual(taken.status, 400);
+});
+
+test('anonymize keeps messages under a tombstone name', async () => {
+  const agent = await api.registerAgent('Leaver');
+  const debate = await api.createDebate(agent);
+  await api.postMessage(agent, debate.id, 'this message stays');
+
+  const wrong = await api.request('DELETE', '/agents/me', { key: agent.key, body: { mode: 'anonymize', confirm: 'nope' } });
+  assert.strictEqual(wrong.status, 400);
+
+  const res = await api.request('DELETE', '/agents/me', { key: agent.key, body: { mode: 'anonymize', confirm: 'Leaver' } });
+  assert.strictEqual(res.status, 200);
+
+  const message = api.db.prepare('SELECT agent_name FROM messages WHERE debate_id = ?').get(debate.id);
+  assert.match(message.agent_name, /^deleted#/);
+  const row = api.db.prepare('SELECT creator_name FROM debates WHERE id = ?').get(debate.id);
+  assert.strictEqual(row.creator_name, message.agent_name);
+  assert.strictEqual((await api.request('GET', '/agents/me', { key: agent.key })).status, 401);
+});
+
+test('delete removes messages that mention others or have replies', async () => {
+  const author = await api.registerAgent('Mentioner');
+  const target = await api.registerAgent('delta_bot');
+  const debate = await api.createDebate(target);
+
+  const mention = await api.postMessage(author, debate.id, 'hi @delta_bot what do you think?');
+  assert.strictEqual(mention.status, 201);
+  const reply = await api.postMessage(target, debate.id, 'replying to you', { reply_to: mention.body.message.id });
+  assert.strictEqual(reply.status, 201);
+
+  const res = await api.request('DELETE', '/agents/me', { key: author.key, body: { mode: 'delete', confirm: 'Mentioner' } });
+  assert.strictEqual(res.status, 200);
+
+  assert.strictEqual(api.db.prepare('SELECT COUNT(*) as count FROM mentions WHERE mentioned_by = ?').get(author.id).count, 0);
+  assert.strictEqual(api.db.prepare('SELECT COUNT(*) as count FROM agents WHERE id = ?').get(author.id).count, 0);
+  const left = api.db.prepare('SELECT reply_to FROM messages WHERE id = ?').get(reply.body.message.id);
+  assert.strictEqual(left.reply_to, null);
+
+  const counts = api.db.prepare('SELECT message_count FROM debates WHERE id = ?').get(debate.id);
+  assert.strictEqual(counts.message_count, 1);
+});
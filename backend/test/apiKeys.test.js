@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let api;
+let agent;
+let keyId;
+
+before(async () => {
+  api = await startServer();
+  agent = await api.registerAgent('KeyOwner');
+  const keys = await api.request('GET', '/agents/me/keys', { key: agent.key });
+  keyId = keys.body.keys[0].id;
+});
+
+after(() => api.close());
+
+async function issueKey(key, name, scopes) {
+  return api.request('POST', '/agents/me/keys', { key, body: { name, scopes } });
+}
+
+test('new keys inherit every scope of the issuing key', async () => {
+  const res = await issueKey(agent.key, 'full-copy');
+  assert.strictEqual(res.status, 201);
+  const me = await api.request('GET', '/agents/me/keys', { key: agent.key });
+  const defaultKey = me.body.keys.find(k => k.id === keyId);
+  assert.deepStrictEqual(res.body.key.scopes, defaultKey.scopes);
+});
+
+test('a read-only key can read but not write', async () => {
+  const readOnly = await issueKey(agent.key, 'reader', ['read']);
+  assert.strictEqual(readOnly.status, 201);
+  const key = readOnly.body.key.api_key;
+
+  assert.strictEqual((await api.request('GET', '/agents/me', { key })).status, 200);
+
+  const debate = await api.createDebate(null);
+  const post = await api.postMessage({ key }, debate.id, 'read-only keys cannot post');
+  assert.strictEqual(post.status, 403);
+  assert.strictEqual(post.body.required_scope, 'messages:write');
+
+  const read = await api.request('POST', '/agents/me/notifications/read', { key, body: { all: true } });
+  assert.strictEqual(read.status, 403);
+  assert.strictEqual(read.body.required_scope, 'agents:write');
+});
+
+test('a key cannot grant scopes it does not have', async () => {
+  const limited = await issueKey(agent.key, 'key-admin', ['agents:write']);
+  const res = await issueKey(limited.body.key.api_key, 'escalated', ['agents:write', 'messages:write']);
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /messages:write/);
+});
+
+test('a narrower key cannot rotate or revoke a broader key', async () => {
+  const limited = await issueKey(agent.key, 'narrow', ['agents:write']);
+  const key = limited.body.key.api_key;
+
+  const rotate = await api.request('POST', `/agents/me/keys/${keyId}/rotate`, { key });
+  assert.strictEqual(rotate.status, 403);
+  const revoke = await api.request('DELETE', `/agents/me/keys/${keyId}`, { key });
+  assert.strictEqual(revoke.status, 403);
+
+  // 원래 키는 그대로 동작
+  assert.strictEqual((await api.request('GET', '/agents/me', { key: agent.key })).status, 200);
+});
+
+test('rotating a key invalidates the old secret', async () => {
+  const spare = await issueKey(agent.key, 'to-rotate');
+  const rotated = await api.request('POST', `/agents/me/keys/${spare.body.key.id}/rotate`, { key: agent.key });
+  assert.strictEqual(rotated.status, 200);
+
+  assert.strictEqual((await api.request('GET', '/agents/me', { key: spare.body.key.api_key })).status, 401);
+  assert.strictEqual((await api.request('GET', '/agents/me', { key: rotated.body.key.api_key })).status, 200);
+});
+
+test('taking ownership of an agent needs a key with agents:write', async () => {
+  const session = await api.request('POST', '/operators/register', {
+    body: { username: 'keyoperator', password: 'password123' }
+  });
+  assert.strictEqual(session.status, 201);
+  const { cookie } = session;
+
+  const readOnly = await issueKey(agent.key, 'owner-reader', ['read']);
+  const denied = await api.request('POST', '/operators/me/agents', {
+    headers: { Cookie: cookie },
+    body: { api_key: readOnly.body.key.api_key }
+  });
+  assert.strictEqual(denied.status, 403);
+
+  const allowed = await api.request('POST', '/operators/me/agents', {
+    headers: { Cookie: cookie },
+    body: { api_key: agent.key }
+  });
+  assert.strictEqual(allowed.status, 200);
+});
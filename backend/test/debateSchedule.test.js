@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+const HOUR = 60 * 60 * 1000;
+
+// 토론 일정을 과거로 옮겨 시간이 흐른 것처럼 만든다
+function shiftSchedule(debateId, ms) {
+  api.db.prepare('UPDATE debates SET start_at = start_at - ?, ends_at = ends_at - ?, created_at = created_at - ? WHERE id = ?')
+    .run(ms, ms, ms, debateId);
+}
+
+test('phased debates last exactly as long as their phases', async () => {
+  const debate = await api.createDebate(null, { format: 'lightning', duration_hours: 24 });
+  assert.strictEqual(debate.ends_at - debate.start_at, HOUR);
+  assert.strictEqual(debate.phase.key, 'opening');
+
+  const free = await api.createDebate(null, { duration_hours: 24 });
+  assert.strictEqual(free.ends_at - free.start_at, 24 * HOUR);
+
+  const vote = await api.request('POST', '/debates', {
+    body: { topic: 'Phased votes?', type: 'vote', category: 'general', vote_options: ['a', 'b'], format: 'classic' }
+  });
+  assert.strictEqual(vote.status, 400);
+});
+
+test('each phase limits messages per agent', async () => {
+  const agent = await api.registerAgent('Phaser');
+  const debate = await api.createDebate(null, { format: 'lightning' });
+
+  assert.strictEqual((await api.postMessage(agent, debate.id, 'my opening statement')).status, 201);
+  const second = await api.postMessage(agent, debate.id, 'one more opening');
+  assert.strictEqual(second.status, 403);
+  assert.strictEqual(second.body.error, 'Phase message limit reached');
+
+  // 입론(15분)이 끝나면 반론 단계 한도가 새로 적용된다
+  shiftSchedule(debate.id, 20 * 60 * 1000);
+  assert.strictEqual((await api.postMessage(agent, debate.id, 'my first rebuttal')).status, 201);
+  const detail = await api.request('GET', `/debates/${debate.id}`);
+  assert.strictEqual(detail.body.phase.key, 'rebuttal');
+});
+
+test('phased debates close when the last phase ends', async () => {
+  const agent = await api.registerAgent('LateComer');
+  const debate = await api.createDebate(null, { format: 'lightning' });
+  shiftSchedule(debate.id, HOUR + 1000);
+
+  const res = await api.postMessage(agent, debate.id, 'is anyone still here?');
+  assert.strictEqual(res.status, 404);
+  const detail = await api.request('GET', `/debates/${debate.id}`);
+  assert.strictEqual(detail.body.status, 'ended');
+});
+
+test('scheduled debates reject messages and votes until they start', async () => {
+  const agent = await api.registerAgent('EarlyBird');
+  const startAt = Date.now() + 2 * HOUR;
+  const debate = await api.createDebate(null, { start_at: startAt, duration_hours: 3 });
+  assert.strictEqual(debate.status, 'scheduled');
+  assert.strictEqual(debate.ends_at - debate.start_at, 3 * HOUR);
+
+  const post = await api.postMessage(agent, debate.id, 'too early to talk');
+  assert.strictEqual(post.status, 403);
+  assert.strictEqual(post.body.error, 'Debate has not started');
+
+  const vote = await api.createDebate(null, { type: 'vote', vote_options: ['yes', 'no'], start_at: startAt });
+  const ballot = await api.request('POST', `/debates/${vote.id}/vote`, { key: agent.key, body: { option: 'yes' } });
+  assert.strictEqual(ballot.status, 403);
+
+  const tooFar = await api.request('POST', '/debates', {
+    body: { topic: 'Far future debate', type: 'debate', category: 'general', start_at: Date.now() + 8 * 24 * HOUR }
+  });
+  assert.strictEqual(tooFar.status, 400);
+});
+
+test('extensions cost points and are refused for phased debates', async () => {
+  const agent = await api.registerAgent('Extender');
+  await api.request('POST', `/admin/agents/${agent.id}/points`, { admin: true, body: { amount: 100, reason: 'seed' } });
+
+  const phased = await api.createDebate(null, { format: 'lightning' });
+  const refused = await api.request('POST', `/debates/${phased.id}/extend`, { key: agent.key, body: { hours: 1 } });
+  assert.strictEqual(refused.status, 400);
+  const adminRefused = await api.request('POST', `/admin/debates/${phased.id}/extend`, { admin: true, body: { hours: 1 } });
+  assert.strictEqual(adminRefused.status, 400);
+
+  const free = await api.createDebate(null, { duration_hours: 6 });
+  const extended = await api.request('POST', `/debates/${free.id}/extend`, { key: agent.key, body: { hours: 2 } });
+  assert.strictEqual(extended.status, 200);
+  assert.strictEqual(extended.body.ends_at, free.ends_at + 2 * HOUR);
+  assert.strictEqual(extended.body.points_spent, 20);
+
+  const me = await api.request('GET', '/agents/me', { key: agent.key });
+  assert.strictEqual(me.body.points, 80);
+
+  const broke = await api.request('POST', `/debates/${free.id}/extend`, { key: agent.key, body: { hours: 9 } });
+  assert.strictEqual(broke.status, 403);
+
+  // 총 기간 7일 제한: 포인트가 충분해도 거절되고 차감되지 않는다
+  await api.request('POST', `/admin/agents/${agent.id}/points`, { admin: true, body: { amount: 2000, reason: 'seed' } });
+  const tooLong = await api.request('POST', `/debates/${free.id}/extend`, { key: agent.key, body: { hours: 7 * 24 } });
+  assert.strictEqual(tooLong.status, 400);
+  assert.strictEqual((await api.request('GET', '/agents/me', { key: agent.key })).body.points, 2080);
+});
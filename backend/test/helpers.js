@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 라우트 테스트 공용: 테스트 파일마다 임시 DB 로 app 을 띄우고 fetch 로 호출한다.
+// node --test 는 파일마다 프로세스를 따로 쓰므로 DB 와 모듈 캐시가 파일 사이에 섞이지 않는다.
+const ADMIN_TOKEN = 'test-admin-token';
+
+async function startServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-agora-test-'));
+  process.env.DB_PATH = path.join(dir, 'test.db');
+  process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+  process.env.NODE_ENV = 'production'; // 요청 로그는 오류만
+
+  const app = require('../src/index');
+  const db = require('../src/database');
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+  /**
+   * Call the API → { status, body, cookie } (cookie: name=value from Set-Cookie, if any)
+   * options: { key (agent API key), admin (use the admin token), body, headers }
+   */
+  async function request(method, url, options = {}) {
+    const headers = { ...options.headers };
+    if (options.key) headers.Authorization = `Bearer ${options.key}`;
+    if (options.admin) headers.Authorization = `Bearer ${ADMIN_TOKEN}`;
+    if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const res = await fetch(base + url, {
+      method,
+      headers,
+      body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+    });
+    const text = await res.text();
+    let body = text;
+    try { body = JSON.parse(text); } catch (e) { /* not JSON */ }
+    const setCookie = res.headers.get('set-cookie');
+    return { status: res.status, body, cookie: setCookie ? setCookie.split(';')[0] : null };
+  }
+
+  async function registerAgent(name) {
+    const res = await request('POST', '/agents/register', { body: { name } });
+    if (res.status !== 201) throw new Error(`register ${name} failed: ${JSON.stringify(res.body)}`);
+    return { id: res.body.agent.id, name, key: res.body.agent.api_key };
+  }
+
+  async function createDebate(agent, fields = {}) {
+    const res = await request('POST', '/debates', {
+      key: agent && agent.key,
+      body: { topic: 'Should tests be required?', type: 'debate', category: 'general', ...fields }
+    });
+    if (res.status !== 201) throw new Error(`create debate failed: ${JSON.stringify(res.body)}`);
+    return res.body.debate;
+  }
+
+  async function postMessage(agent, debateId, content, fields = {}) {
+    return request('POST', `/debates/${debateId}/messages`, { key: agent.key, body: { content, ...fields } });
+  }
+
+  function close() {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { db, request, registerAgent, createDebate, postMessage, close };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_BANNED_NAMES, toSkeleton, findBannedPattern } = require('../src/utils/names');
+
+const check = name => findBannedPattern(name.toLowerCase(), DEFAULT_BANNED_NAMES);
+
+test('toSkeleton folds confusables, leetspeak and l/i', () => {
+  assert.strictEqual(toSkeleton('C1aude'), toSkeleton('claude'));
+  assert.strictEqual(toSkeleton('GPТ'), 'gpt'); // 키릴 Т
+  assert.strictEqual(toSkeleton('g-p-t'), 'gpt');
+});
+
+test('blocks disguised banned names', () => {
+  assert.strictEqual(check('c1aude'), 'claude');
+  assert.strictEqual(check('GPТ'), 'gpt');
+  assert.strictEqual(check('g-p-t'), 'gpt');
+  assert.strictEqual(check('g.p.t-bot'), 'gpt');
+  assert.strictEqual(check('ClaudeBot'), 'claude');
+  assert.strictEqual(check('cl-aude'), 'claude');
+  assert.strictEqual(check('co_pilot'), 'copilot');
+  assert.strictEqual(check('my_gpt_bot'), 'gpt');
+});
+
+test('allows compound names that only match across separators', () => {
+  assert.strictEqual(check('Eco_Pilot'), null);
+  assert.strictEqual(check('eco-pilot'), null);
+  assert.strictEqual(check('Open_Minded'), null);
+  assert.strictEqual(check('Deep_Thinker'), null);
+});
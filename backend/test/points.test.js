@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+const history = (agent, query = '') => api.request('GET', `/agents/me/points/history${query}`, { key: agent.key });
+
+test('every point change is recorded in the ledger', async () => {
+  const agent = await api.registerAgent('Earner');
+  const debate = await api.createDebate(null);
+  await api.postMessage(agent, debate.id, 'earning some points');
+
+  const res = await history(agent);
+  assert.strictEqual(res.status, 200);
+  assert.ok(res.body.points > 0);
+  assert.strictEqual(res.body.ledger_total, res.body.points);
+  assert.ok(res.body.entries.some(e => e.reason === 'message_posted' && e.debate_id === debate.id));
+
+  const filtered = await history(agent, '?reason=nope');
+  assert.strictEqual(filtered.status, 400);
+});
+
+test('deductions never go below zero and keep the requested amount', async () => {
+  const agent = await api.registerAgent('Spender');
+  const res = await api.request('POST', `/admin/agents/${agent.id}/points`, {
+    admin: true,
+    body: { amount: -50, reason: 'test correction' }
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.points, 0);
+  assert.strictEqual(res.body.applied, 0);
+
+  const entry = (await history(agent, '?reason=admin_adjustment')).body.entries[0];
+  assert.strictEqual(entry.requested_amount, -50);
+  assert.strictEqual(entry.amount, 0);
+
+  const noReason = await api.request('POST', `/admin/agents/${agent.id}/points`, { admin: true, body: { amount: 5 } });
+  assert.strictEqual(noReason.status, 400);
+});
+
+test('reconcile reports agents whose points drift from the ledger', async () => {
+  const agent = await api.registerAgent('Drifter');
+  await api.request('POST', `/admin/agents/${agent.id}/points`, { admin: true, body: { amount: 30, reason: 'seed' } });
+
+  const clean = await api.request('GET', '/admin/points/reconcile', { admin: true });
+  assert.deepStrictEqual(clean.body, { ok: true, mismatches: [] });
+
+  api.db.prepare('UPDATE agents SET points = points + 7 WHERE id = ?').run(agent.id);
+  const drifted = await api.request('GET', '/admin/points/reconcile', { admin: true });
+  assert.strictEqual(drifted.body.ok, false);
+  assert.deepStrictEqual(
+    drifted.body.mismatches.map(m => [m.id, m.points, m.ledger_total]),
+    [[agent.id, 37, 30]]
+  );
+  api.db.prepare('UPDATE agents SET points = points - 7 WHERE id = ?').run(agent.id);
+});
+
+test('the admin API needs the admin token', async () => {
+  const agent = await api.registerAgent('Outsider');
+  const res = await api.request('GET', '/admin/points/reconcile', { key: agent.key });
+  assert.strictEqual(res.status, 401);
+});